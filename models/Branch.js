@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const branchSchema = new mongoose.Schema({
+  branchCode: { type: String, required: true, unique: true },
+  name: { type: String, required: true },
+
+  // Location
+  address: { type: String },
+  postalCode: { type: String },
+  latitude: { type: Number },
+  longitude: { type: Number },
+  // GeoJSON copy of latitude/longitude for $geoNear queries, only set when both are known
+  location: {
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined } // [longitude, latitude]
+  },
+
+  // Contact
+  phone: { type: String },
+  website: { type: String },
+
+  // Branch details
+  serviceTier: { type: String },
+  physicalBranch: { type: Boolean, default: true }, // false for bookmobiles and virtual branches
+
+  // Metadata
+  lastUpdated: { type: Date, default: Date.now },
+  dataSource: { type: String, default: 'toronto-library-locations' },
+  rawData: { type: Object }
+});
+
+branchSchema.index({ location: '2dsphere' });
+
+module.exports = mongoose.model('Branch', branchSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+const fieldChangeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  from: { type: mongoose.Schema.Types.Mixed },
+  to: { type: mongoose.Schema.Types.Mixed }
+}, { _id: false });
+
+const eventVersionSchema = new mongoose.Schema({
+  eventId: { type: String, required: true },
+  changeType: { type: String, enum: ['added', 'modified', 'removed', 'restored'], required: true },
+  detectedAt: { type: Date, default: Date.now },
+  syncRun: { type: mongoose.Schema.Types.ObjectId, ref: 'SyncRun' },
+
+  // Field-level differences (modified only)
+  changes: [fieldChangeSchema],
+
+  // Snapshot so the change feed can be shown without joining events
+  title: { type: String },
+  library: { type: String },
+  startDate: { type: Date },
+  startTime: { type: String }
+});
+
+eventVersionSchema.index({ eventId: 1, detectedAt: -1 });
+eventVersionSchema.index({ detectedAt: -1 });
+
+module.exports = mongoose.model('EventVersion', eventVersionSchema);
@@ -1,5 +1,24 @@
 const mongoose = require('mongoose');
 
+// Detected repeat pattern shared by every session of a series
+const recurrenceSchema = new mongoose.Schema({
+  frequency: { type: String, enum: ['daily', 'weekly'] },
+  interval: { type: Number }, // e.g. 2 = every other week
+  byDay: { type: String }, // Weekday name for weekly series
+  startTime: { type: String },
+  firstDate: { type: String }, // YYYY-MM-DD
+  until: { type: String }, // YYYY-MM-DD of the last listed session
+  sessions: { type: Number },
+  description: { type: String } // "Weekly on Tuesdays until Nov 10, 2026"
+}, { _id: false });
+
+// One of the program's age groups in years, see services/ageRanges.js
+const ageRangeSchema = new mongoose.Schema({
+  label: { type: String },
+  minAge: { type: Number }, // null = no lower bound
+  maxAge: { type: Number } // null = no upper bound
+}, { _id: false });
+
 const libraryEventSchema = new mongoose.Schema({
   // Original fields from Toronto data
   eventId: { type: String, required: true, unique: true },
@@ -11,18 +30,35 @@ const libraryEventSchema = new mongoose.Schema({
   endDate: { type: Date },
   startTime: { type: String },
   endTime: { type: String },
+  startsAt: { type: Date, index: true }, // Instant in America/Toronto, see EventProcessor.buildSchedule
+  endsAt: { type: Date },
+  allDay: { type: Boolean, default: false },
+  timeUnknown: { type: Boolean, default: false }, // No parseable start time in the feed
+  durationMinutes: { type: Number },
   
   // Location
   library: { type: String },
+  branchCode: { type: String, index: true }, // References Branch.branchCode
   libraryAddress: { type: String },
   room: { type: String },
   
   // Event details
-  category: { type: String },
-  ageGroup: { type: String },
+  category: { type: String }, // Label from data/category-taxonomy.json
+  categoryGroup: { type: String }, // Its parent in the taxonomy
+  categories: { type: [String], index: true }, // Every category, primary first (category is kept for compatibility)
+  categoryGroups: { type: [String], index: true }, // Parent of each entry in categories
+  ageGroup: { type: String }, // Primary age group as listed in the feed
+  ageGroups: { type: [String], index: true }, // Every age group (ageGroup is kept for compatibility)
+  ageRanges: [ageRangeSchema],
+  minAge: { type: Number }, // Youngest age across ageRanges
+  maxAge: { type: Number }, // Oldest, null when any group has no upper limit
   program: { type: String },
   capacity: { type: Number },
   registration: { type: String }, // Required, Drop-in, etc.
+
+  // Recurring series
+  seriesId: { type: String, index: true },
+  recurrence: { type: recurrenceSchema, default: null },
   
   // Contact
   phone: { type: String },
@@ -32,17 +68,29 @@ const libraryEventSchema = new mongoose.Schema({
   // Metadata
   lastUpdated: { type: Date, default: Date.now },
   dataSource: { type: String, default: 'toronto-library-events' },
+  normalizationVersion: { type: Number, default: null }, // See NORMALIZATION_VERSION in eventProcessor.js
+  contentHash: { type: String }, // Used to skip writes when nothing changed
+  syncedAt: { type: Date },
+  removedAt: { type: Date, default: null }, // Set when the event disappears from the upstream feed
+  status: { type: String, enum: ['active', 'cancelled'], default: 'active' },
   
   // Original raw data (for debugging)
   rawData: { type: Object }
 });
 
-// Create text index for searching
-libraryEventSchema.index({ 
-  title: 'text', 
-  description: 'text', 
+// Recently cancelled programs are served as tombstones
+libraryEventSchema.index({ status: 1, removedAt: -1 });
+
+// Text index for /api/events/search - weights match FIELD_WEIGHTS in services/eventSearch.js
+libraryEventSchema.index({
+  title: 'text',
+  description: 'text',
   library: 'text',
-  category: 'text'
+  categories: 'text',
+  ageGroups: 'text'
+}, {
+  name: 'event_text_search',
+  weights: { title: 10, categories: 4, ageGroups: 2, library: 2, description: 1 }
 });
 
 module.exports = mongoose.model('LibraryEvent', libraryEventSchema);
\ No newline at end of file
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const syncRunSchema = new mongoose.Schema({
+  // Run timing
+  startedAt: { type: Date, required: true, default: Date.now },
+  finishedAt: { type: Date },
+  durationMs: { type: Number },
+
+  // What started the run and how it ended
+  trigger: { type: String, enum: ['scheduled', 'manual', 'startup'], default: 'scheduled' },
+  status: { type: String, enum: ['running', 'success', 'failed'], default: 'running' },
+
+  // Record counts
+  fetched: { type: Number, default: 0 },
+  inserted: { type: Number, default: 0 },
+  updated: { type: Number, default: 0 },
+  unchanged: { type: Number, default: 0 },
+  errorCount: { type: Number, default: 0 }, // "errors" is reserved by mongoose
+  branchesSaved: { type: Number, default: 0 },
+
+  // Differences against the previous dataset, see ChangeTracker
+  changes: {
+    added: { type: Number },
+    modified: { type: Number },
+    removed: { type: Number },
+    restored: { type: Number },
+    rebaselined: { type: Number }, // Stored under an older normalization, derived fields not compared
+    baseline: { type: Boolean }
+  },
+
+  // Upstream package info
+  packageTitle: { type: String },
+  packageModified: { type: String }, // CKAN metadata_modified, kept as sent
+  packageChanged: { type: Boolean }, // metadata_modified differs from the previous successful run
+
+  // Failure details
+  error: { type: String }
+});
+
+syncRunSchema.index({ startedAt: -1 });
+
+module.exports = mongoose.model('SyncRun', syncRunSchema);
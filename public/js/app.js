@@ -17,13 +17,17 @@
         }
         
         // Global Variables
-        let allEvents = [];
+        let allEvents = []; // Programs running in the visible calendar month
+        let loadedMonth = null; // "YYYY-MM" that allEvents was fetched for
+        let upcomingEvents = []; // Every program from today on, for the map and text search (see loadUpcomingEvents)
+        let upcomingEventsPromise = null;
         let filteredEvents = [];
         let newProgramsEvents = []; // Store new programs events for filtering
         let currentDate = getDateInEST();
         let map = null;
         let libraryMarkers = [];
         let libraryCoordinates = {};
+        let branchCoordinates = {}; // Same coordinates keyed by branch code
         let markersLayer; // Layer group for markers
         let currentLocationMarker = null; // Current location marker
 
@@ -31,6 +35,11 @@
         let filteredEventsCache = new Map();
         let lastFilterState = '';
         let userLocationCache = null;
+        let rankedSearch = null; // { query, scores } from /api/events/search for the current search text
+        let nearbyBranches = null; // { key, distances } from /api/events/nearby for the distance filter
+        let facetCounts = null; // Sidebar option counts for the current filters, from /api/events/filters
+        let facetQuery = null; // Query string of the latest /api/events/filters request
+        let suggestState = { items: [], activeIndex: -1 }; // Options in the search-as-you-type dropdown
 
         // Cache for distance calculations
         const distanceCache = new Map();
@@ -70,7 +79,14 @@
             setupEventListeners();
             loadFilterOptions();
             loadLibraryCoordinates();
-            loadEvents();
+            
+            // Links from a program page (/?event=ID&date=YYYY-MM-DD) open that month with the program's details
+            const linked = new URLSearchParams(window.location.search);
+            if (linked.get('event') && /^\d{4}-\d{2}-\d{2}$/.test(linked.get('date') || '')) {
+                showMonth(parseDateKey(linked.get('date'))).then(() => showEventDetails(linked.get('event')));
+            } else {
+                loadEvents();
+            }
             
             // Check for stored location and update status
             checkStoredLocation();
@@ -102,6 +118,7 @@
                 
                 if (data.success) {
                     libraryCoordinates = data.locations;
+                    branchCoordinates = data.byBranchCode || {};
                     console.log(`✅ Loaded ${Object.keys(libraryCoordinates).length} library locations`);
                 } else {
                     console.warn('⚠️ Could not load library coordinates, using fallback data');
@@ -261,7 +278,7 @@
                 // Handle checkbox filter changes
                 if (e.target.matches('input[type="checkbox"][data-filter-type]')) {
                     filterEvents();
-                } else if (e.target.matches('#distanceFilter, #dateFilter')) {
+                } else if (e.target.matches('#dateFilter')) {
                     filterEvents();
                 }
             });
@@ -276,14 +293,11 @@
                 } else if (e.target.matches('#locationBtn')) {
                     findCurrentLocation();
                 } else if (e.target.matches('#prevMonth')) {
-                currentDate.setMonth(currentDate.getMonth() - 1);
-                renderCalendar();
+                showMonth(new Date(currentDate.getFullYear(), currentDate.getMonth() - 1, 1));
                 } else if (e.target.matches('#nextMonth')) {
-                currentDate.setMonth(currentDate.getMonth() + 1);
-                renderCalendar();
+                showMonth(new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 1));
                 } else if (e.target.matches('#todayBtn')) {
-                currentDate = getDateInEST();
-                renderCalendar();
+                showMonth(getDateInEST());
                 } else if (e.target.closest('.view-all-programs-btn')) {
                     // Handle "View All Programs" button click
                     const button = e.target.closest('.view-all-programs-btn');
@@ -320,12 +334,270 @@
             }
         }
 
+        // Every age group a program lists, falling back to the primary one for older cached data
+        function getEventAgeGroups(event) {
+            if (event.ageGroups && event.ageGroups.length > 0) return event.ageGroups;
+            return event.ageGroup ? [event.ageGroup] : [];
+        }
+
+        // Every category with its taxonomy parent, primary first
+        function getEventCategories(event) {
+            if (event.categories && event.categories.length > 0) {
+                return event.categories.map((label, index) => ({
+                    label,
+                    group: (event.categoryGroups && event.categoryGroups[index]) || 'Other'
+                }));
+            }
+            return event.category ? [{ label: event.category, group: event.categoryGroup || 'Other' }] : [];
+        }
+
+        // Children's ages typed into the sidebar, e.g. "4, 9"
+        function getSelectedAges() {
+            const ageInput = document.getElementById('ageFilter');
+            if (!ageInput) return [];
+            return ageInput.value.split(',')
+                .map(value => parseInt(value.trim(), 10))
+                .filter(age => !isNaN(age) && age >= 0 && age <= 120);
+        }
+
+        // Same rule as the API's age filter: suitable for at least one of the ages; no age groups means all ages
+        function isEventForAges(event, ages) {
+            if (ages.length === 0 || !event.ageRanges || event.ageRanges.length === 0) return true;
+            return ages.some(age => event.ageRanges.some(range =>
+                (range.minAge === null || age >= range.minAge) &&
+                (range.maxAge === null || age <= range.maxAge)
+            ));
+        }
+
+        // Ask the server for relevance-ranked matches (stemming, synonyms), then re-filter
+        // Falls back to plain substring matching in filterEvents if the request fails
+        async function runRankedSearch() {
+            const searchInput = document.getElementById('searchInput');
+            const query = searchInput.value.trim();
+            if (!query) {
+                rankedSearch = null;
+                showSearchSuggestion(null);
+                filterEvents();
+                return;
+            }
+
+            try {
+                const response = await fetch(`/api/events/search?q=${encodeURIComponent(query)}&limit=500`);
+                const data = await response.json();
+                if (!data.success) throw new Error(data.error);
+                // The user kept typing - a newer search is on its way
+                if (searchInput.value.trim() !== query) return;
+                rankedSearch = {
+                    query: query.toLowerCase(),
+                    scores: new Map(data.results.map(result => [result.eventId, result.score]))
+                };
+                showSearchSuggestion(data.didYouMean);
+            } catch (error) {
+                console.warn('⚠️ Ranked search unavailable, using plain text matching:', error.message);
+                rankedSearch = null;
+                showSearchSuggestion(null);
+            }
+            filterEvents();
+        }
+
+        // Ask the server which branches are inside the distance filter's radius, then re-filter
+        // Falls back to measuring against branchCoordinates in filterEvents if the request fails
+        async function loadNearbyBranches() {
+            const distance = document.getElementById('distanceFilter').value;
+            let location = null;
+            try {
+                location = JSON.parse(localStorage.getItem('userLocation'));
+            } catch (error) {
+                location = null;
+            }
+            if (!distance || !location) {
+                nearbyBranches = null;
+                filterEvents();
+                return;
+            }
+
+            const key = `${location.lat},${location.lng},${distance}`;
+            try {
+                // Only the branch list is needed here, the events are already loaded
+                const response = await fetch(`/api/events/nearby?lat=${location.lat}&lng=${location.lng}&radius=${encodeURIComponent(distance)}&limit=1`);
+                const data = await response.json();
+                if (!data.success) throw new Error(data.error);
+                // The radius changed while waiting - a newer request is on its way
+                if (document.getElementById('distanceFilter').value !== distance) return;
+                nearbyBranches = {
+                    key,
+                    distances: new Map(data.branches.map(branch => [branch.branchCode, branch.distanceKm]))
+                };
+            } catch (error) {
+                console.warn('⚠️ Nearby branches unavailable, measuring distances locally:', error.message);
+                nearbyBranches = null;
+            }
+            filterEvents();
+        }
+
+        // "Did you mean ...?" under the search box
+        function showSearchSuggestion(suggestion) {
+            const container = document.getElementById('searchSuggestion');
+            if (!container) return;
+            if (!suggestion) {
+                container.hidden = true;
+                container.innerHTML = '';
+                return;
+            }
+            container.innerHTML = `Did you mean <a href="#">${escapeHtml(suggestion)}</a>?`;
+            container.hidden = false;
+            container.querySelector('a').addEventListener('click', function(e) {
+                e.preventDefault();
+                document.getElementById('searchInput').value = suggestion;
+                runRankedSearch();
+            });
+        }
+
+        // Dropdown sections, in display order
+        const SUGGEST_GROUPS = [
+            ['titles', 'Programs'],
+            ['series', 'Series'],
+            ['branches', 'Branches'],
+            ['categories', 'Categories']
+        ];
+
+        // Fetch search-as-you-type suggestions for the current search text
+        async function loadSearchSuggestions() {
+            const searchInput = document.getElementById('searchInput');
+            const query = searchInput.value.trim();
+            if (query.length < 2) {
+                closeSearchSuggestions();
+                return;
+            }
+
+            try {
+                const response = await fetch(`/api/events/suggest?q=${encodeURIComponent(query)}`);
+                const data = await response.json();
+                if (!data.success || searchInput.value.trim() !== query) return;
+                renderSearchSuggestions(data.suggestions);
+            } catch (error) {
+                console.warn('⚠️ Could not load search suggestions:', error.message);
+                closeSearchSuggestions();
+            }
+        }
+
+        function describeSuggestion(type, entry) {
+            if (type === 'titles') return `${entry.count} ${entry.count === 1 ? 'session' : 'sessions'}`;
+            if (type === 'series') return [entry.library, entry.recurrence].filter(Boolean).join(' · ');
+            if (type === 'branches') return `${entry.count} ${entry.count === 1 ? 'program' : 'programs'}`;
+            return entry.group || '';
+        }
+
+        // Listbox of grouped options; the input keeps focus and points at the active one (combobox pattern)
+        function renderSearchSuggestions(suggestions) {
+            const searchInput = document.getElementById('searchInput');
+            const list = document.getElementById('searchSuggestList');
+            suggestState = { items: [], activeIndex: -1 };
+            list.innerHTML = '';
+
+            SUGGEST_GROUPS.forEach(([type, heading]) => {
+                const entries = suggestions[type] || [];
+                if (entries.length === 0) return;
+
+                const group = document.createElement('div');
+                group.setAttribute('role', 'group');
+                group.setAttribute('aria-labelledby', `suggestHeading_${type}`);
+                group.innerHTML = `<div class="search-suggest__heading" id="suggestHeading_${type}" role="presentation">${heading}</div>`;
+
+                entries.forEach(entry => {
+                    const index = suggestState.items.length;
+                    suggestState.items.push({ type, ...entry });
+
+                    const option = document.createElement('div');
+                    option.id = `suggestOption_${index}`;
+                    option.className = 'search-suggest__option';
+                    option.setAttribute('role', 'option');
+                    option.setAttribute('aria-selected', 'false');
+                    option.innerHTML = `
+                        <span>${escapeHtml(entry.label)}</span>
+                        <small class="text-muted">${escapeHtml(describeSuggestion(type, entry))}</small>
+                    `;
+                    // Keep focus in the input so the blur handler doesn't close the list before the click lands
+                    option.addEventListener('mousedown', e => e.preventDefault());
+                    option.addEventListener('click', () => applySuggestion(index));
+                    group.appendChild(option);
+                });
+                list.appendChild(group);
+            });
+
+            if (suggestState.items.length === 0) {
+                closeSearchSuggestions();
+                return;
+            }
+            list.hidden = false;
+            searchInput.setAttribute('aria-expanded', 'true');
+        }
+
+        function closeSearchSuggestions() {
+            const searchInput = document.getElementById('searchInput');
+            const list = document.getElementById('searchSuggestList');
+            if (!list) return;
+            list.hidden = true;
+            list.innerHTML = '';
+            searchInput.setAttribute('aria-expanded', 'false');
+            searchInput.removeAttribute('aria-activedescendant');
+            suggestState = { items: [], activeIndex: -1 };
+        }
+
+        function moveSuggestion(step) {
+            const count = suggestState.items.length;
+            if (count === 0) return;
+            suggestState.activeIndex = (suggestState.activeIndex + step + count) % count;
+
+            document.querySelectorAll('#searchSuggestList [role="option"]').forEach((option, index) => {
+                const active = index === suggestState.activeIndex;
+                option.classList.toggle('search-suggest__option--active', active);
+                option.setAttribute('aria-selected', active ? 'true' : 'false');
+                if (active) option.scrollIntoView({ block: 'nearest' });
+            });
+            document.getElementById('searchInput').setAttribute('aria-activedescendant', `suggestOption_${suggestState.activeIndex}`);
+        }
+
+        // Branches and categories become sidebar filters, series open their next session, titles become the search
+        function applySuggestion(index) {
+            const item = suggestState.items[index];
+            if (!item) return;
+            const searchInput = document.getElementById('searchInput');
+            closeSearchSuggestions();
+
+            if (item.type === 'branches' || item.type === 'categories') {
+                const filterType = item.type === 'branches' ? 'library' : 'category';
+                const checkbox = document.querySelector(`input[type="checkbox"][data-filter-type="${filterType}"][value="${CSS.escape(item.label)}"]`);
+                if (checkbox) {
+                    checkbox.checked = true;
+                    searchInput.value = '';
+                    rankedSearch = null;
+                    showSearchSuggestion(null);
+                    filterEvents();
+                    return;
+                }
+            }
+
+            // The next session may be in a month the calendar hasn't loaded yet
+            if (item.type === 'series' && item.nextEventId) {
+                const month = item.nextDate.slice(0, 7);
+                const ready = month === loadedMonth ? Promise.resolve() : showMonth(parseDateKey(item.nextDate));
+                ready.then(() => showEventDetails(item.nextEventId));
+                return;
+            }
+
+            searchInput.value = item.label;
+            runRankedSearch();
+        }
+
         // Optimized filter events function
         function filterEvents() {
             const search = document.getElementById('searchInput').value.toLowerCase();
             const libraries = getSelectedFilterValues('library');
             const categories = getSelectedFilterValues('category');
             const ageGroups = getSelectedFilterValues('ageGroup');
+            const registrations = getSelectedFilterValues('registration');
+            const ages = getSelectedAges();
             const selectedDate = document.getElementById('dateFilter').value;
             const distance = document.getElementById('distanceFilter').value;
 
@@ -333,16 +605,16 @@
             const isNewProgramsView = document.getElementById('newProgramsContainer') && 
                                       document.getElementById('newProgramsContainer').style.display !== 'none';
             
-            // Use new programs events if in new programs view, otherwise use allEvents
-            const sourceEvents = isNewProgramsView ? newProgramsEvents : allEvents;
+            const sourceEvents = getSourceEvents();
 
             // Create filter state string for caching (using sorted arrays for consistency)
-            const filterState = `${search}|${libraries.sort().join(',')}|${categories.sort().join(',')}|${ageGroups.sort().join(',')}|${selectedDate}|${distance}|${isNewProgramsView ? 'new' : 'all'}`;
+            const filterState = `${search}|${libraries.sort().join(',')}|${categories.sort().join(',')}|${ageGroups.sort().join(',')}|${registrations.join(',')}|${ages.join(',')}|${selectedDate}|${distance}|${isNewProgramsView ? 'new' : 'all'}|${rankedSearch ? rankedSearch.query : ''}|${nearbyBranches ? nearbyBranches.key : ''}|${sourceEvents.length}`;
             
             // Check cache first (but not for new programs view as it changes with days selector)
             if (!isNewProgramsView && filteredEventsCache.has(filterState) && filterState === lastFilterState) {
                 console.log('✅ Using cached filtered results');
                 filteredEvents = filteredEventsCache.get(filterState);
+                updateFilterCounts();
                 updateEventCount();
                 updateStatusBar();
                 updateActiveFiltersDisplay();
@@ -351,6 +623,14 @@
                 return;
             }
 
+            // Sidebar checkboxes in the same shape GET /api/events builds from its query (see eventFilters.js)
+            const sidebarFilters = {
+                library: { include: libraries, exclude: [] },
+                category: { include: categories, exclude: [] },
+                ageGroup: { include: ageGroups, exclude: [] },
+                registration: { include: registrations, exclude: [] }
+            };
+
             // Cache user location to avoid repeated localStorage access
             if (distance && !userLocationCache) {
                 const storedLocation = localStorage.getItem('userLocation');
@@ -364,36 +644,32 @@
             }
 
             // Use more efficient filtering with early exit
-            const filtered = sourceEvents.filter(event => {
+            const matchingOthers = sourceEvents.filter(event => {
                 // Early exit for search filter (most expensive)
-                if (search) {
-                    const searchableText = `${event.title || ''} ${event.description || ''} ${event.library || ''} ${event.category || ''}`.toLowerCase();
+                if (search && rankedSearch && rankedSearch.query === search.trim()) {
+                    if (!rankedSearch.scores.has(event.eventId)) return false;
+                } else if (search) {
+                    const searchableText = `${event.title || ''} ${event.description || ''} ${event.library || ''} ${getEventCategories(event).map(category => category.label).join(' ')}`.toLowerCase();
                     if (!searchableText.includes(search)) return false;
                 }
                 
-                // Early exit for library filter (multiple selections)
-                if (libraries.length > 0 && !libraries.includes(event.library)) return false;
-                
-                // Early exit for category filter (multiple selections)
-                if (categories.length > 0 && !categories.includes(event.category)) return false;
-                
-                // Early exit for age group filter (multiple selections)
-                if (ageGroups.length > 0 && !ageGroups.includes(event.ageGroup)) return false;
+                // Early exit for children's ages
+                if (!isEventForAges(event, ages)) return false;
                 
                 // Early exit for date filter
                 if (selectedDate) {
                     if (!event.startDate) return false;
-                    const eventDate = typeof event.startDate === 'string' 
-                        ? event.startDate.split('T')[0] 
-                        : new Date(event.startDate).toISOString().split('T')[0];
-                    if (eventDate !== selectedDate) return false;
+                    if (!eventOccursOn(event, selectedDate)) return false;
                 }
 
-                // Early exit for distance filter
-                if (distance) {
+                // Early exit for distance filter - the server's branch list when it matches the current radius
+                if (distance && nearbyBranches && userLocationCache &&
+                    nearbyBranches.key === `${userLocationCache.lat},${userLocationCache.lng},${distance}`) {
+                    if (!nearbyBranches.distances.has(event.branchCode)) return false;
+                } else if (distance) {
                     if (!userLocationCache || !event.library) return false;
                     
-                    const libraryCoords = libraryCoordinates[event.library];
+                    const libraryCoords = branchCoordinates[event.branchCode] || libraryCoordinates[event.library];
                     if (!libraryCoords) return false;
                     
                     const eventDistance = calculateDistance(
@@ -409,6 +685,17 @@
                 return true;
             });
 
+            // Sidebar selections last, so each option can be counted against every other filter
+            const filtered = matchingOthers.filter(event => EventFilters.matchesFilters(event, sidebarFilters));
+            if (isNewProgramsView) {
+                // Every new program is loaded already, so they can be counted here
+                facetQuery = null;
+                facetCounts = EventFilters.countFacets(matchingOthers, sidebarFilters, ['library', 'category', 'ageGroup']);
+                updateFilterCounts();
+            } else {
+                loadFacetCounts({ search, libraries, categories, ageGroups, registrations, ages, selectedDate, distance });
+            }
+
             // Update the appropriate events array
             if (isNewProgramsView) {
                 // For new programs view, update the display directly
@@ -439,29 +726,50 @@
             }
         }
 
-        // Load programs from API
+        // "YYYY-MM" of the month the calendar is showing
+        function getVisibleMonthKey() {
+            return `${currentDate.getFullYear()}-${String(currentDate.getMonth() + 1).padStart(2, '0')}`;
+        }
+
+        // Move the calendar to another month, fetching its programs if they aren't loaded yet
+        function showMonth(date) {
+            currentDate = date;
+            renderCalendar();
+            if (getVisibleMonthKey() !== loadedMonth) {
+                return loadEvents();
+            }
+            return Promise.resolve();
+        }
+
+        // Load programs for the visible month from the API
         async function loadEvents() {
+            const monthKey = getVisibleMonthKey();
+            const [year, month] = monthKey.split('-');
             try {
                 document.getElementById('eventCount').innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i> Loading programs...';
                 
-                console.log('🔍 Loading events from:', window.location.origin + '/api/events');
+                const url = `/api/events?year=${year}&month=${parseInt(month, 10)}`;
+                console.log('🔍 Loading events from:', window.location.origin + url);
                 
-                const response = await fetch('/api/events');
+                const response = await fetch(url);
                 const data = await response.json();
                 
                 console.log('🔍 API Response:', data);
                 
                 if (data.success) {
+                    // The user may have paged on to another month while this one was loading
+                    if (monthKey !== getVisibleMonthKey()) return;
+                    loadedMonth = monthKey;
                     allEvents = data.events;
-                    filteredEvents = [...allEvents];
+                    filteredEventsCache.clear();
+                    lastFilterState = '';
                     
-                    console.log(`✅ Loaded ${allEvents.length} events`);
+                    console.log(`✅ Loaded ${allEvents.length} events for ${monthKey}`);
                     console.log('🔍 Sample Events:', allEvents.slice(0, 3));
                     
-                    updateEventCount();
-                    updateStatusBar();
+                    // Re-apply whatever filters are selected to the new month
                     loadFilterOptions();
-                    renderCalendar();
+                    filterEvents();
                     
                     document.getElementById('statusBar').style.display = 'block';
                 } else {
@@ -473,46 +781,72 @@
             }
         }
 
-        // Load filter options
-        function loadFilterOptions() {
-            // Check if we're in new programs view
+        // Every upcoming program, fetched once in the background for the views that aren't tied to a month
+        function loadUpcomingEvents() {
+            if (!upcomingEventsPromise) {
+                upcomingEventsPromise = fetch(`/api/events?from=${getDateKey(getDateInEST())}`)
+                    .then(response => response.json())
+                    .then(data => {
+                        if (!data.success) throw new Error(data.error);
+                        upcomingEvents = data.events;
+                        console.log(`✅ Loaded ${upcomingEvents.length} upcoming programs for the map and search`);
+                        loadFilterOptions();
+                        filterEvents();
+                    })
+                    .catch(error => {
+                        console.error('❌ Error loading upcoming programs:', error);
+                        upcomingEventsPromise = null; // Try again next time
+                    });
+            }
+            return upcomingEventsPromise;
+        }
+
+        // Programs the current view works on: the new programs list, the visible month for the calendar,
+        // or the visible month plus every upcoming program for the map and text search
+        function getSourceEvents() {
             const isNewProgramsView = document.getElementById('newProgramsContainer') && 
                                       document.getElementById('newProgramsContainer').style.display !== 'none';
+            if (isNewProgramsView) return newProgramsEvents;
             
-            const sourceEvents = isNewProgramsView ? newProgramsEvents : allEvents;
+            const isMapView = document.getElementById('mapContainer').style.display !== 'none';
+            const search = document.getElementById('searchInput').value.trim();
+            if (!isMapView && !search) return allEvents;
+            
+            if (upcomingEvents.length === 0) {
+                loadUpcomingEvents();
+                return allEvents;
+            }
+            const monthIds = new Set(allEvents.map(event => event.eventId));
+            return allEvents.concat(upcomingEvents.filter(event => !monthIds.has(event.eventId)));
+        }
+
+        // Load filter options
+        function loadFilterOptions() {
+            const sourceEvents = getSourceEvents();
             
             if (sourceEvents.length === 0) return;
 
             const libraries = [...new Set(sourceEvents.map(event => event.library).filter(Boolean))].sort();
-            const categories = [...new Set(sourceEvents.map(event => event.category).filter(Boolean))].sort();
-            const ageGroups = [...new Set(sourceEvents.map(event => event.ageGroup).filter(Boolean))].sort();
+            const ageGroups = [...new Set(sourceEvents.flatMap(getEventAgeGroups))].sort();
 
             populateFilterGroup('libraryFilterBody', libraries, 'library');
-            populateFilterGroup('categoryFilterBody', categories, 'category');
+            populateCategoryTree('categoryFilterBody', sourceEvents);
             populateFilterGroup('ageGroupFilterBody', ageGroups, 'ageGroup');
+            updateFilterCounts();
         }
 
-        // Populate filter group with checkboxes and counts
+        // Populate filter group with checkboxes; updateFilterCounts fills in the counts
         function populateFilterGroup(containerId, options, filterType) {
             const container = document.getElementById(containerId);
             if (!container) return;
             
-            // Check if we're in new programs view
-            const isNewProgramsView = document.getElementById('newProgramsContainer') && 
-                                      document.getElementById('newProgramsContainer').style.display !== 'none';
-            const sourceEvents = isNewProgramsView ? newProgramsEvents : allEvents;
+            // Keep ticked options (even ones with no programs in the new data) so filters survive a reload
+            const checked = [...container.querySelectorAll('input[type="checkbox"]:checked')].map(checkbox => checkbox.value);
+            options = [...new Set([...options, ...checked])].sort();
             
             container.innerHTML = '';
             
             options.forEach(option => {
-                // Count how many events match this option
-                const count = sourceEvents.filter(event => {
-                    if (filterType === 'library') return event.library === option;
-                    if (filterType === 'category') return event.category === option;
-                    if (filterType === 'ageGroup') return event.ageGroup === option;
-                    return false;
-                }).length;
-                
                 const optionDiv = document.createElement('div');
                 optionDiv.className = 'filter-option';
                 
@@ -520,16 +854,152 @@
                 
                 optionDiv.innerHTML = `
                     <label>
-                        <input type="checkbox" id="${checkboxId}" value="${option}" data-filter-type="${filterType}">
+                        <input type="checkbox" id="${checkboxId}" value="${option}" data-filter-type="${filterType}"${checked.includes(option) ? ' checked' : ''}>
                         <span>${option}</span>
                     </label>
-                    <span class="filter-count">(${count})</span>
+                    <span class="filter-count"></span>
                 `;
                 
                 container.appendChild(optionDiv);
             });
         }
         
+        // Populate the category filter as parent groups (e.g. Arts & Culture) with their categories underneath
+        // Ticking a parent ticks all of its children; only the children are used for filtering
+        function populateCategoryTree(containerId, sourceEvents) {
+            const container = document.getElementById(containerId);
+            if (!container) return;
+            
+            // Ticked categories stay listed (and ticked) even when the new data has none of them
+            const checked = [...container.querySelectorAll('input[type="checkbox"][data-filter-type]:checked')]
+                .map(checkbox => ({ label: checkbox.value, group: checkbox.getAttribute('data-filter-group') }));
+            
+            // Group -> its categories; updateFilterCounts fills in the counts
+            const groups = new Map();
+            sourceEvents.flatMap(getEventCategories).concat(checked).forEach(({ label, group }) => {
+                if (!groups.has(group)) {
+                    groups.set(group, new Set());
+                }
+                groups.get(group).add(label);
+            });
+            
+            container.innerHTML = '';
+            
+            [...groups.keys()].sort().forEach(groupLabel => {
+                const children = groups.get(groupLabel);
+                
+                const parentDiv = document.createElement('div');
+                parentDiv.className = 'filter-option filter-option--parent';
+                parentDiv.innerHTML = `
+                    <label>
+                        <input type="checkbox" value="${escapeHtml(groupLabel)}" data-filter-parent="category">
+                        <span>${escapeHtml(groupLabel)}</span>
+                    </label>
+                    <span class="filter-count"></span>
+                `;
+                container.appendChild(parentDiv);
+                
+                [...children].sort().forEach(category => {
+                    const optionDiv = document.createElement('div');
+                    optionDiv.className = 'filter-option filter-option--child';
+                    optionDiv.innerHTML = `
+                        <label>
+                            <input type="checkbox" value="${escapeHtml(category)}" data-filter-type="category" data-filter-group="${escapeHtml(groupLabel)}"${checked.some(item => item.label === category) ? ' checked' : ''}>
+                            <span>${escapeHtml(category)}</span>
+                        </label>
+                        <span class="filter-count"></span>
+                    `;
+                    container.appendChild(optionDiv);
+                });
+            });
+        }
+        
+        // Sidebar counts over every upcoming program rather than the loaded month, from GET /api/events/filters
+        // The distance filter is sent as the branch codes /api/events/nearby found
+        async function loadFacetCounts({ search, libraries, categories, ageGroups, registrations, ages, selectedDate, distance }) {
+            const params = new URLSearchParams();
+            if (search) params.set('search', search);
+            libraries.forEach(value => params.append('library', value));
+            categories.forEach(value => params.append('category', value));
+            ageGroups.forEach(value => params.append('ageGroup', value));
+            registrations.forEach(value => params.append('registration', value));
+            if (ages.length > 0) params.set('ages', ages.join(','));
+            if (selectedDate) {
+                params.set('from', selectedDate);
+                params.set('to', selectedDate);
+            }
+            if (distance && nearbyBranches && userLocationCache &&
+                nearbyBranches.key === `${userLocationCache.lat},${userLocationCache.lng},${distance}`) {
+                if (nearbyBranches.distances.size === 0) {
+                    facetQuery = null;
+                    facetCounts = { library: {}, category: {}, ageGroup: {} };
+                    updateFilterCounts();
+                    return;
+                }
+                params.set('branch', [...nearbyBranches.distances.keys()].join(','));
+            }
+
+            const query = params.toString();
+            if (query === facetQuery && facetCounts) {
+                updateFilterCounts();
+                return;
+            }
+            facetQuery = query;
+
+            try {
+                const response = await fetch(`/api/events/filters?${query}`);
+                const data = await response.json();
+                if (!data.success) throw new Error(data.error);
+                // The filters changed while waiting - a newer request is on its way
+                if (query !== facetQuery) return;
+                facetCounts = Object.fromEntries(['library', 'category', 'ageGroup'].map(field => [
+                    field,
+                    Object.fromEntries((data.facets[field] || []).map(({ value, count }) => [value, count]))
+                ]));
+                updateFilterCounts();
+            } catch (error) {
+                console.warn('⚠️ Filter counts unavailable:', error.message);
+                if (query === facetQuery) facetQuery = null;
+            }
+        }
+
+        // Show each sidebar option's count for the current filters and hide options without programs
+        // Ticked (or partly ticked) options stay visible so they can be unticked
+        function updateFilterCounts() {
+            if (!facetCounts) return;
+            document.querySelectorAll('.filter-option').forEach(optionDiv => {
+                const checkbox = optionDiv.querySelector('input[type="checkbox"]');
+                const filterType = checkbox && (checkbox.getAttribute('data-filter-type') || checkbox.getAttribute('data-filter-parent'));
+                if (!filterType || !facetCounts[filterType]) return;
+                
+                const count = facetCounts[filterType][checkbox.value] || 0;
+                optionDiv.querySelector('.filter-count').textContent = `(${count})`;
+                optionDiv.hidden = count === 0 && !checkbox.checked && !checkbox.indeterminate;
+            });
+        }
+        
+        // Tick or untick every child of a parent filter checkbox
+        function setChildFilters(parentCheckbox) {
+            const container = parentCheckbox.closest('.filter-body') || document;
+            container.querySelectorAll('input[type="checkbox"][data-filter-group]').forEach(checkbox => {
+                if (checkbox.getAttribute('data-filter-group') === parentCheckbox.value) {
+                    checkbox.checked = parentCheckbox.checked;
+                }
+            });
+        }
+        
+        // Parent checkboxes show ticked when all children are, and indeterminate when only some are
+        function syncParentFilters() {
+            document.querySelectorAll('input[type="checkbox"][data-filter-parent]').forEach(parentCheckbox => {
+                const container = parentCheckbox.closest('.filter-body') || document;
+                const children = [...container.querySelectorAll('input[type="checkbox"][data-filter-group]')]
+                    .filter(checkbox => checkbox.getAttribute('data-filter-group') === parentCheckbox.value);
+                const checkedCount = children.filter(checkbox => checkbox.checked).length;
+                parentCheckbox.checked = children.length > 0 && checkedCount === children.length;
+                parentCheckbox.indeterminate = checkedCount > 0 && checkedCount < children.length;
+            });
+        }
+        
         // Get selected values from a filter group
         function getSelectedFilterValues(filterType) {
             const checkboxes = document.querySelectorAll(`input[type="checkbox"][data-filter-type="${filterType}"]:checked`);
@@ -541,9 +1011,13 @@
             const display = document.getElementById('activeFiltersDisplay');
             if (!display) return;
             
+            syncParentFilters();
+            
             const libraries = getSelectedFilterValues('library');
             const categories = getSelectedFilterValues('category');
             const ageGroups = getSelectedFilterValues('ageGroup');
+            const registrations = getSelectedFilterValues('registration');
+            const ages = getSelectedAges();
             const search = document.getElementById('searchInput') ? document.getElementById('searchInput').value.trim() : '';
             const selectedDate = document.getElementById('dateFilter') ? document.getElementById('dateFilter').value : '';
             const distance = document.getElementById('distanceFilter') ? document.getElementById('distanceFilter').value : '';
@@ -553,7 +1027,7 @@
             
             // Check if any filters are selected
             const hasFilters = libraries.length > 0 || categories.length > 0 || ageGroups.length > 0 || 
-                              search || selectedDate || distance;
+                              registrations.length > 0 || ages.length > 0 || search || selectedDate || distance;
             
             // If no filters are selected, show message
             if (!hasFilters) {
@@ -633,6 +1107,30 @@
                 display.appendChild(badge);
             });
             
+            // Add children's ages
+            if (ages.length > 0) {
+                const badge = document.createElement('span');
+                badge.className = 'filter-badge';
+                badge.innerHTML = `
+                    <span class="filter-label">Ages:</span>
+                    <span class="filter-value">${escapeHtml(ages.join(', '))}</span>
+                    <span class="filter-close" data-filter-type="age" data-value="" title="Remove filter">×</span>
+                `;
+                display.appendChild(badge);
+            }
+            
+            // Add registration filters
+            registrations.forEach(registration => {
+                const badge = document.createElement('span');
+                badge.className = 'filter-badge';
+                badge.innerHTML = `
+                    <span class="filter-label">Registration:</span>
+                    <span class="filter-value">${escapeHtml(registration)}</span>
+                    <span class="filter-close" data-filter-type="registration" data-value="${escapeHtml(registration)}" title="Remove filter">×</span>
+                `;
+                display.appendChild(badge);
+            });
+            
             // Add click handlers for close buttons
             display.querySelectorAll('.filter-close').forEach(closeBtn => {
                 closeBtn.addEventListener('click', function(e) {
@@ -643,12 +1141,15 @@
                     // Handle different filter types
                     if (filterType === 'search') {
                         document.getElementById('searchInput').value = '';
+                        showSearchSuggestion(null);
                     } else if (filterType === 'date') {
                         document.getElementById('dateFilter').value = '';
                     } else if (filterType === 'distance') {
                         document.getElementById('distanceFilter').value = '';
+                    } else if (filterType === 'age') {
+                        document.getElementById('ageFilter').value = '';
                     } else {
-                        // Handle checkbox filters (library, category, ageGroup)
+                        // Handle checkbox filters (library, category, ageGroup, registration)
                         // Need to escape special characters in value for CSS selector
                         const escapedValue = value.replace(/"/g, '\\"').replace(/'/g, "\\'");
                         const checkbox = document.querySelector(`input[type="checkbox"][data-filter-type="${filterType}"][value="${escapedValue}"]`);
@@ -681,6 +1182,8 @@
             
             document.getElementById('dateFilter').value = ''; // Clear date filter too
             document.getElementById('distanceFilter').value = ''; // Clear distance filter too
+            document.getElementById('ageFilter').value = '';
+            showSearchSuggestion(null);
             
             filterEvents();
             updateActiveFiltersDisplay();
@@ -688,7 +1191,7 @@
 
         // Update program count
         function updateEventCount() {
-            const total = allEvents.length;
+            const total = getSourceEvents().length;
             const showing = filteredEvents.length;
             document.getElementById('eventCount').innerHTML = `
                 <i class="fas fa-calendar-check me-1"></i>
@@ -700,7 +1203,7 @@
         function updateStatusBar() {
             const libraries = [...new Set(filteredEvents.map(event => event.library).filter(Boolean))];
             
-            document.getElementById('totalEvents').textContent = allEvents.length;
+            document.getElementById('totalEvents').textContent = getSourceEvents().length;
             document.getElementById('filteredEvents').textContent = filteredEvents.length;
             document.getElementById('libraryCount').textContent = libraries.length;
         }
@@ -710,7 +1213,7 @@
             document.getElementById('calendarContainer').style.display = 'block';
             document.getElementById('mapContainer').style.display = 'none';
             document.getElementById('newProgramsContainer').style.display = 'none';
-            renderCalendar();
+            filterEvents(); // Back to the visible month only
         }
 
         function showMapView() {
@@ -720,7 +1223,7 @@
             if (!map) {
                 initializeMap();
             }
-            updateMapMarkers();
+            filterEvents(); // The map shows every upcoming program, not just the visible month
             
             // Automatically request location when switching to map view
             // Check if we already have a stored location
@@ -820,12 +1323,12 @@
             if (newProgramsEvents.length === 0) return;
 
             const libraries = [...new Set(newProgramsEvents.map(event => event.library).filter(Boolean))].sort();
-            const categories = [...new Set(newProgramsEvents.map(event => event.category).filter(Boolean))].sort();
-            const ageGroups = [...new Set(newProgramsEvents.map(event => event.ageGroup).filter(Boolean))].sort();
+            const ageGroups = [...new Set(newProgramsEvents.flatMap(getEventAgeGroups))].sort();
 
             populateFilterGroup('libraryFilterBody', libraries, 'library');
-            populateFilterGroup('categoryFilterBody', categories, 'category');
+            populateCategoryTree('categoryFilterBody', newProgramsEvents);
             populateFilterGroup('ageGroupFilterBody', ageGroups, 'ageGroup');
+            updateFilterCounts();
         }
 
         // Display new programs in the list
@@ -842,7 +1345,7 @@
                 const distance = document.getElementById('distanceFilter').value;
                 
                 const hasFilters = search || libraries.length > 0 || categories.length > 0 || 
-                                  ageGroups.length > 0 || selectedDate || distance;
+                                  ageGroups.length > 0 || getSelectedAges().length > 0 || selectedDate || distance;
                 
                 if (hasFilters) {
                     listEl.innerHTML = `
@@ -990,7 +1493,7 @@
             // Create markers in batch
             const markers = [];
             eventsByLibrary.forEach((events, libraryName) => {
-                const coordinates = getLibraryCoordinates(libraryName);
+                const coordinates = getLibraryCoordinates(libraryName, events[0].branchCode);
                 if (!coordinates) return;
                 
                 const marker = createLibraryMarker(coordinates, libraryName, events);
@@ -1002,7 +1505,12 @@
         }
 
         // Helper function to get library coordinates efficiently
-        function getLibraryCoordinates(libraryName) {
+        function getLibraryCoordinates(libraryName, branchCode) {
+            // Events resolved to a branch on the server map straight to its coordinates
+            if (branchCode && branchCoordinates[branchCode]) {
+                return [branchCoordinates[branchCode].lat, branchCoordinates[branchCode].lng];
+            }
+
             // Use a more efficient lookup
                 const searchNames = [
                     libraryName,
@@ -1340,53 +1848,42 @@
             const eventsData = getFilteredEvents();
             
             // Collect events for ALL dates that will be visible in the calendar
+            // Programs with a date range are added to every day they run
+            const gridStartKey = getDateKey(startDate);
+            const gridEndKey = getDateKey(endDate);
+            const spanningEvents = [];
             eventsData.forEach(event => {
                 if (!event.startDate) return;
                 
-                // Handle both date strings (YYYY-MM-DD) and Date objects/ISO strings
-                let eventDate;
-                if (typeof event.startDate === 'string') {
-                    // If it's a date-only string (YYYY-MM-DD), treat it as EST date
-                    if (/^\d{4}-\d{2}-\d{2}$/.test(event.startDate)) {
-                        // Date-only string - extract components and create date
-                        // This represents the date in EST, so we use the components directly
-                        const [year, month, day] = event.startDate.split('-').map(Number);
-                        // Create a date object - when we later convert to EST, it will be correct
-                        eventDate = new Date(year, month - 1, day);
-                    } else {
-                        // ISO string with time - parse normally
-                        eventDate = new Date(event.startDate);
-                    }
-                } else {
-                    eventDate = new Date(event.startDate);
-                }
-                
-                // Get EST date components for the event
-                const eventDateEST = new Intl.DateTimeFormat('en-US', {
-                    timeZone: 'America/New_York',
-                    year: 'numeric',
-                    month: 'numeric',
-                    day: 'numeric'
-                }).formatToParts(eventDate);
-                const eventYear = parseInt(eventDateEST.find(p => p.type === 'year').value);
-                const eventMonth = parseInt(eventDateEST.find(p => p.type === 'month').value) - 1;
-                const eventDay = parseInt(eventDateEST.find(p => p.type === 'day').value);
+                const { startKey, endKey } = getEventDateRange(event);
+                if (endKey < gridStartKey || startKey > gridEndKey) return;
+                if (endKey > startKey) spanningEvents.push(event);
                 
-                // Create EST date objects for comparison
-                const eventDateESTObj = new Date(eventYear, eventMonth, eventDay);
-                const startDateESTObj = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
-                const endDateESTObj = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
-                
-                // Check if event falls within the visible calendar range using EST
-                if (eventDateESTObj >= startDateESTObj && eventDateESTObj <= endDateESTObj) {
-                    // Create dateKey in YYYY-MM-DD format using EST date
-                    const dateKey = `${eventYear}-${String(eventMonth + 1).padStart(2, '0')}-${String(eventDay).padStart(2, '0')}`;
+                const dayCursor = parseDateKey(startKey > gridStartKey ? startKey : gridStartKey);
+                const lastKey = endKey < gridEndKey ? endKey : gridEndKey;
+                for (let dateKey = getDateKey(dayCursor); dateKey <= lastKey; dateKey = getDateKey(dayCursor)) {
                     if (!visibleEvents.has(dateKey)) {
                         visibleEvents.set(dateKey, []);
                     }
                     visibleEvents.get(dateKey).push(event);
+                    dayCursor.setDate(dayCursor.getDate() + 1);
                 }
             });
+            visibleEvents.forEach(dayEvents => dayEvents.sort(compareEventsByTime));
+            
+            // Give each multi-day program a fixed row (lane) so its bar lines up from day to day
+            const spanLanes = new Map();
+            const laneEnds = [];
+            spanningEvents
+                .sort((a, b) => getEventDateRange(a).startKey.localeCompare(getEventDateRange(b).startKey) ||
+                    getEventDateRange(b).endKey.localeCompare(getEventDateRange(a).endKey))
+                .forEach(event => {
+                    const { startKey, endKey } = getEventDateRange(event);
+                    let lane = laneEnds.findIndex(laneEnd => laneEnd < startKey);
+                    if (lane === -1) lane = laneEnds.length;
+                    laneEnds[lane] = endKey;
+                    spanLanes.set(event.eventId, lane);
+                });
             
             console.log(' - Month Events Map:', visibleEvents);
             
@@ -1401,7 +1898,7 @@
             const todayMonth = estNow.getMonth();
             const todayDay = estNow.getDate();
             
-            console.log('🔍 Today (EST):', `${todayYear}-${String(todayMonth + 1).padStart(2, '0')}-${String(todayDay).padStart(2, '0')}`);
+            console.log('🔍 Today (EST):', getDateKey(estNow));
             
             for (let i = 0; i < weeksNeeded * 7; i++) {
                 // Create cell date using EST dates (add days to startDate)
@@ -1441,7 +1938,7 @@
                 
                 // Show events only for days in the current month
                 // Create dateKey in YYYY-MM-DD format using EST date
-                const dateKey = `${cellYear}-${String(cellMonth + 1).padStart(2, '0')}-${String(cellDay).padStart(2, '0')}`;
+                const dateKey = getDateKey(cellDate);
                 let dayEvents = [];
                 
                 // Only get events if this day belongs to the current month
@@ -1463,24 +1960,68 @@
                     eventsContainer.className = 'events-container';
                     
                     const maxVisible = window.innerWidth > 768 ? 3 : 2;
-                    const visibleEvents = dayEvents.slice(0, maxVisible);
                     
-                    visibleEvents.forEach(event => {
+                    // Multi-day programs first, in their lanes, then single-day tiles in the slots left
+                    const daySpans = dayEvents.filter(event => spanLanes.has(event.eventId));
+                    const daySingles = dayEvents.filter(event => !spanLanes.has(event.eventId));
+                    const slots = [];
+                    daySpans.forEach(event => {
+                        const lane = spanLanes.get(event.eventId);
+                        if (lane < maxVisible) slots[lane] = event;
+                    });
+                    for (let slot = 0; slot < maxVisible && daySingles.length > 0; slot++) {
+                        if (!slots[slot]) slots[slot] = daySingles.shift();
+                    }
+                    // Trim empty lanes at the end, keep the ones that hold later bars in line
+                    while (slots.length > 0 && !slots[slots.length - 1]) slots.pop();
+                    
+                    let shownCount = 0;
+                    for (let slot = 0; slot < slots.length; slot++) {
+                        const event = slots[slot];
+                        if (!event) {
+                            const spacer = document.createElement('div');
+                            spacer.className = 'event-tile event-tile--spacer';
+                            spacer.textContent = '\u00a0';
+                            spacer.setAttribute('aria-hidden', 'true');
+                            eventsContainer.appendChild(spacer);
+                            continue;
+                        }
+                        shownCount++;
+                        
                         const eventTile = document.createElement('div');
                         eventTile.className = 'event-tile';
                         eventTile.textContent = event.title.length > 20 ? event.title.substring(0, 18) + '...' : event.title;
-                        eventTile.title = `${event.title}\n${event.library || ''}\n${formatDate(event.startDate) || 'Date TBD'}`;
+                        eventTile.title = `${event.title}\n${event.library || ''}\n${formatEventTime(event)}`;
+                        
+                        if (spanLanes.has(event.eventId)) {
+                            const { startKey, endKey } = getEventDateRange(event);
+                            const isStart = dateKey === startKey;
+                            const isEnd = dateKey === endKey;
+                            eventTile.classList.add('event-tile--span');
+                            if (!isStart) eventTile.classList.add('event-tile--span-continues');
+                            if (!isEnd) eventTile.classList.add('event-tile--span-continued');
+                            // Label the bar where it starts and again at the start of each week
+                            if (!isStart && cellDate.getDay() !== 0) {
+                                eventTile.textContent = '\u00a0';
+                            }
+                            eventTile.title = `${event.title}\n${event.library || ''}\n${formatDateRange(event)}`;
+                        }
+                        
+                        if (isCancelledEvent(event)) {
+                            eventTile.classList.add('event-tile--cancelled');
+                            eventTile.title = `Cancelled: ${eventTile.title}`;
+                        }
                         eventTile.onclick = (e) => {
                             e.stopPropagation();
                             showEventDetails(event.eventId);
                         };
                         eventsContainer.appendChild(eventTile);
-                    });
+                    }
                     
-                    if (dayEvents.length > maxVisible) {
+                    if (dayEvents.length > shownCount) {
                         const moreTile = document.createElement('div');
                         moreTile.className = 'more-events';
-                        moreTile.textContent = `+${dayEvents.length - maxVisible} more`;
+                        moreTile.textContent = `+${dayEvents.length - shownCount} more`;
                         moreTile.onclick = (e) => {
                             e.stopPropagation();
                             showDayEventsModal(cellDate, dayEvents);
@@ -1521,9 +2062,12 @@
             if (events.length === 0) {
                 modalBody.innerHTML = '<p class="text-muted text-center py-4">No programs on this day</p>';
             } else {
-                events.forEach(event => {
+                [...events].sort(compareEventsByTime).forEach(event => {
                     const eventCard = document.createElement('div');
                     eventCard.className = 'day-event-card card';
+                    if (isCancelledEvent(event)) {
+                        eventCard.classList.add('day-event-card--cancelled');
+                    }
                     eventCard.onclick = () => showEventDetails(event.eventId);
                     
                     const hasUrl = hasValidEventUrl(event);
@@ -1533,8 +2077,9 @@
                         <div class="card-header">
                             <i class="fas fa-calendar-alt me-2"></i>
                             ${hasUrl ? `<a href="${eventUrl}" target="_blank" class="library-link">` : ''}
-                            ${event.title}
+                            <span class="event-title">${event.title}</span>
                             ${hasUrl ? '</a>' : ''}
+                            ${isCancelledEvent(event) ? '<span class="badge bg-danger ms-2">Cancelled</span>' : ''}
                         </div>
                         <div class="card-body">
                             <div class="row">
@@ -1544,7 +2089,8 @@
                                 </div>
                                 <div class="col-md-6">
                                     <small class="text-muted">Time:</small><br>
-                                    <strong>${event.startTime || 'Time TBD'}</strong>
+                                    <strong>${escapeHtml(formatEventTime(event))}</strong>
+                                    ${isMultiDayEvent(event) ? `<br><small class="text-muted">Runs ${escapeHtml(formatDateRange(event))}</small>` : ''}
                                 </div>
                             </div>
                             ${event.description ? `
@@ -1570,12 +2116,13 @@
 
         // Get programs for a specific date
         function getEventsForDate(date) {
-            const dateStr = date.toISOString().split('T')[0];
-            return getFilteredEvents().filter(event => {
-                if (!event.startDate) return false;
-                const eventDateStr = event.startDate.split('T')[0];
-                return eventDateStr === dateStr;
-            });
+            const dateStr = getDateKey(date);
+            return getFilteredEvents().filter(event => eventOccursOn(event, dateStr));
+        }
+
+        // Programs that dropped out of the library feed are kept for a while as cancelled tombstones
+        function isCancelledEvent(event) {
+            return event.status === 'cancelled';
         }
 
         // Get filtered events
@@ -1584,31 +2131,38 @@
         }
 
         // Show program details in modal
-        function showEventDetails(eventId) {
-            // Check if we're in new programs view and search there first
-            const isNewProgramsView = document.getElementById('newProgramsContainer') && 
-                                      document.getElementById('newProgramsContainer').style.display !== 'none';
-            
-            let event = null;
-            if (isNewProgramsView && newProgramsEvents.length > 0) {
-                event = newProgramsEvents.find(e => e.eventId === eventId);
-            }
+        // Programs outside the loaded data (another month, a series session, a shared link) are fetched by id
+        async function showEventDetails(eventId) {
+            let event = newProgramsEvents.find(e => e.eventId === eventId) ||
+                        allEvents.find(e => e.eventId === eventId) ||
+                        upcomingEvents.find(e => e.eventId === eventId);
             
-            // Fallback to allEvents if not found in newProgramsEvents
             if (!event) {
-                event = allEvents.find(e => e.eventId === eventId);
+                try {
+                    const response = await fetch(`/api/events/${encodeURIComponent(eventId)}`);
+                    const data = await response.json();
+                    if (!data.success) throw new Error(data.error);
+                    event = data.event;
+                } catch (error) {
+                    console.error(`❌ Could not load program ${eventId}:`, error);
+                    return;
+                }
             }
-            
-            if (!event) return;
 
             const eventUrl = getEventPageUrl(event);
             const hasUrl = hasValidEventUrl(event);
 
             const modalBody = document.getElementById('eventModalBody');
             modalBody.innerHTML = `
+                ${isCancelledEvent(event) ? `
+                <div class="alert alert-danger event-cancelled-notice">
+                    <i class="fas fa-ban me-1"></i>
+                    This program is no longer listed by the library and may have been cancelled${event.removedAt ? ` (removed ${formatDate(event.removedAt)})` : ''}.
+                </div>
+                ` : ''}
                 <div class="event-detail-item">
                     <div class="event-detail-label">Title</div>
-                    <div>${event.title || 'No title'}</div>
+                    <div class="${isCancelledEvent(event) ? 'event-title--cancelled' : ''}">${event.title || 'No title'}</div>
                 </div>
                 <div class="event-detail-item">
                     <div class="event-detail-label">Description</div>
@@ -1618,51 +2172,133 @@
                     <div class="event-detail-label">Library</div>
                     <div>${event.library || 'Not specified'}</div>
                 </div>
-                ${hasUrl ? `
                 <div class="event-detail-item">
                     <div class="event-detail-label">Program Page</div>
                     <div>
+                        <a href="/programs/${encodeURIComponent(event.eventId)}" class="library-link me-3">
+                            <i class="fas fa-link me-1"></i>
+                            Link to this program
+                        </a>
+                        ${hasUrl ? `
                         <a href="${eventUrl}" target="_blank" class="library-link">
                             <i class="fas fa-external-link-alt me-1"></i>
                             View Program Page
                         </a>
+                        ` : ''}
                     </div>
                 </div>
-                ` : ''}
                 <div class="event-detail-item">
                     <div class="event-detail-label">Date & Time</div>
                     <div>
-                        ${event.startDate ? event.startDate.split('T')[0] : 'Date TBD'}
-                        ${event.startTime ? `at ${event.startTime}` : ''}
+                        ${event.startDate ? (isMultiDayEvent(event) ? escapeHtml(formatDateRange(event)) : event.startDate.split('T')[0]) : 'Date TBD'}
+                        ${event.startDate ? `&middot; ${escapeHtml(formatEventTime(event))}` : ''}
                     </div>
                 </div>
+                ${event.seriesId ? `
+                <div class="event-detail-item">
+                    <div class="event-detail-label">All sessions in this series</div>
+                    ${event.recurrence ? `<div class="text-muted small mb-1"><i class="fas fa-redo me-1"></i>${escapeHtml(event.recurrence.description)}</div>` : ''}
+                    <div id="seriesSessions" class="series-sessions" data-series-id="${escapeHtml(event.seriesId)}">
+                        <span class="text-muted small"><i class="fas fa-spinner fa-spin me-1"></i>Loading sessions...</span>
+                    </div>
+                </div>
+                ` : ''}
                 <div class="event-detail-item">
                     <div class="event-detail-label">Category</div>
-                    <div>${event.category || 'Not specified'}</div>
+                    <div>${getEventCategories(event).map(category => escapeHtml(category.label)).join(', ') || 'Not specified'}</div>
                 </div>
                 <div class="event-detail-item">
                     <div class="event-detail-label">Age Group</div>
-                    <div>${event.ageGroup || 'All ages'}</div>
+                    <div>${getEventAgeGroups(event).map(escapeHtml).join(', ') || 'All ages'}</div>
                 </div>
-                ${event.registrationRequired ? `
+                ${event.registration ? `
                 <div class="event-detail-item">
                     <div class="event-detail-label">Registration</div>
-                    <div class="text-warning">
-                        <i class="fas fa-exclamation-triangle me-1"></i>
-                        Registration required
+                    <div class="${event.registration === 'Required' ? 'text-warning' : ''}">
+                        <i class="fas ${event.registration === 'Drop-in' ? 'fa-door-open' : 'fa-exclamation-triangle'} me-1"></i>
+                        ${event.registration === 'Drop-in' ? 'Drop-in, no registration needed' : `Registration ${escapeHtml(event.registration.toLowerCase())}`}
+                        ${event.capacity ? `<span class="text-muted">&middot; limited to ${event.capacity} people</span>` : ''}
                     </div>
                 </div>
+                ` : (event.capacity ? `
+                <div class="event-detail-item">
+                    <div class="event-detail-label">Capacity</div>
+                    <div>Limited to ${event.capacity} people</div>
+                </div>
+                ` : '')}
+                ${event.room ? `
+                <div class="event-detail-item">
+                    <div class="event-detail-label">Room</div>
+                    <div>${escapeHtml(event.room)}</div>
+                </div>
                 ` : ''}
-                ${event.contactInfo ? `
+                ${event.phone || event.email ? `
                 <div class="event-detail-item">
                     <div class="event-detail-label">Contact</div>
-                    <div>${event.contactInfo}</div>
+                    <div>
+                        ${event.phone ? `<a href="tel:${escapeHtml(event.phone.replace(/ ext\. /, ','))}" class="library-link me-3"><i class="fas fa-phone me-1"></i>${escapeHtml(event.phone)}</a>` : ''}
+                        ${event.email ? `<a href="mailto:${escapeHtml(event.email)}" class="library-link"><i class="fas fa-envelope me-1"></i>${escapeHtml(event.email)}</a>` : ''}
+                    </div>
                 </div>
                 ` : ''}
             `;
 
             const modal = new bootstrap.Modal(document.getElementById('eventModal'));
             modal.show();
+
+            if (event.seriesId) {
+                loadSeriesSessions(event.seriesId, event.eventId);
+            }
+        }
+
+        // Fill the "all sessions in this series" list of the event modal
+        async function loadSeriesSessions(seriesId, currentEventId) {
+            const renderSessions = (sessions) => sessions.map(session => {
+                const [year, month, day] = String(session.startDate).split('T')[0].split('-').map(Number);
+                const dateLabel = new Date(year, month - 1, day).toLocaleDateString('en-US', {
+                    weekday: 'short',
+                    month: 'short',
+                    day: 'numeric',
+                    year: 'numeric'
+                });
+                const classes = [
+                    'series-session',
+                    session.eventId === currentEventId ? 'series-session--current' : '',
+                    isCancelledEvent(session) ? 'event-title--cancelled' : ''
+                ].filter(Boolean).join(' ');
+                return `<li class="${classes}">${dateLabel}${session.startTime ? ` at ${escapeHtml(session.startTime)}` : ''}</li>`;
+            }).join('');
+
+            try {
+                const response = await fetch(`/api/series/${encodeURIComponent(seriesId)}`);
+                const data = await response.json();
+
+                // The modal may have moved on to another program while this was loading
+                const container = document.getElementById('seriesSessions');
+                if (!container || container.getAttribute('data-series-id') !== seriesId) return;
+
+                if (!data.success) {
+                    container.innerHTML = '<span class="text-muted small">Sessions unavailable</span>';
+                    return;
+                }
+
+                container.innerHTML = `
+                    ${data.upcoming.length > 0 ? `
+                    <div class="small fw-semibold mt-1">Upcoming (${data.upcoming.length})</div>
+                    <ul class="series-session-list">${renderSessions(data.upcoming)}</ul>
+                    ` : ''}
+                    ${data.past.length > 0 ? `
+                    <div class="small fw-semibold mt-1 text-muted">Past (${data.past.length})</div>
+                    <ul class="series-session-list series-session-list--past">${renderSessions(data.past)}</ul>
+                    ` : ''}
+                `;
+            } catch (error) {
+                console.error('Error loading series sessions:', error);
+                const container = document.getElementById('seriesSessions');
+                if (container) {
+                    container.innerHTML = '<span class="text-muted small">Sessions unavailable</span>';
+                }
+            }
         }
 
         // Utility functions
@@ -1861,10 +2497,27 @@
         }
 
         // Add event listener for distance filter
-        document.getElementById('distanceFilter').addEventListener('change', filterEvents);
+        document.getElementById('distanceFilter').addEventListener('change', loadNearbyBranches);
 
         // Apply debouncing to search input
-        document.getElementById('searchInput').addEventListener('input', debounce(filterEvents, 300));
+        document.getElementById('searchInput').addEventListener('input', debounce(runRankedSearch, 300));
+        document.getElementById('searchInput').addEventListener('input', debounce(loadSearchSuggestions, 150));
+        document.getElementById('searchInput').addEventListener('blur', closeSearchSuggestions);
+        document.getElementById('searchInput').addEventListener('keydown', function(e) {
+            const isOpen = !document.getElementById('searchSuggestList').hidden;
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                if (!isOpen) return;
+                e.preventDefault();
+                moveSuggestion(e.key === 'ArrowDown' ? 1 : -1);
+            } else if (e.key === 'Enter' && isOpen && suggestState.activeIndex >= 0) {
+                e.preventDefault();
+                applySuggestion(suggestState.activeIndex);
+            } else if (e.key === 'Escape' && isOpen) {
+                e.preventDefault();
+                closeSearchSuggestions();
+            }
+        });
+        document.getElementById('ageFilter').addEventListener('input', debounce(filterEvents, 300));
 
         // Add this to your filter section in the HTML
         // Add this inside the filter-section div, after the existing filters:
@@ -2028,8 +2681,17 @@
                 // Handle checkbox filter changes
                 if (e.target.matches('input[type="checkbox"][data-filter-type]')) {
                     filterEvents();
-                } else if (e.target.matches('#dateFilter')) {
+                } else if (e.target.matches('input[type="checkbox"][data-filter-parent]')) {
+                    setChildFilters(e.target);
                     filterEvents();
+                } else if (e.target.matches('#dateFilter')) {
+                    // Jump the calendar to the picked date's month, which loads its programs
+                    const selectedDate = e.target.value;
+                    if (selectedDate && selectedDate.slice(0, 7) !== loadedMonth) {
+                        showMonth(parseDateKey(selectedDate));
+                    } else {
+                        filterEvents();
+                    }
                 } else if (e.target.matches('#distanceFilter')) {
                     handleDistanceFilterChange(e.target.value);
                 } else if (e.target.matches('#daysSelector')) {
@@ -2050,14 +2712,11 @@
                 } else if (e.target.matches('#locationBtn')) {
                     findCurrentLocation();
                 } else if (e.target.matches('#prevMonth')) {
-                    currentDate.setMonth(currentDate.getMonth() - 1);
-                    renderCalendar();
+                    showMonth(new Date(currentDate.getFullYear(), currentDate.getMonth() - 1, 1));
                 } else if (e.target.matches('#nextMonth')) {
-                    currentDate.setMonth(currentDate.getMonth() + 1);
-                    renderCalendar();
+                    showMonth(new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 1));
                 } else if (e.target.matches('#todayBtn')) {
-                    currentDate = getDateInEST();
-                    renderCalendar();
+                    showMonth(getDateInEST());
                 }
             });
             
@@ -2128,18 +2787,78 @@
             
             document.getElementById('dateFilter').value = '';
             document.getElementById('distanceFilter').value = ''; // Clear distance filter too
+            document.getElementById('ageFilter').value = '';
+            showSearchSuggestion(null);
             filterEvents();
             updateActiveFiltersDisplay();
         }
 
-        // Add this helper function for timezone-safe date handling
+        // Calendar date key (YYYY-MM-DD) for a local Date such as a calendar cell
         function getDateKey(date) {
-            const year = date.getUTCFullYear();
-            const month = String(date.getUTCMonth() + 1).padStart(2, '0');
-            const day = String(date.getUTCDate()).padStart(2, '0');
+            const year = date.getFullYear();
+            const month = String(date.getMonth() + 1).padStart(2, '0');
+            const day = String(date.getDate()).padStart(2, '0');
             return `${year}-${month}-${day}`;
         }
 
+        // Local Date for a YYYY-MM-DD key
+        function parseDateKey(key) {
+            const [year, month, day] = key.split('-').map(Number);
+            return new Date(year, month - 1, day);
+        }
+
+        // First and last calendar day of a program (endDate before startDate is treated as a one-day program)
+        function getEventDateRange(event) {
+            const startKey = event.startDate ? event.startDate.split('T')[0] : null;
+            const endKey = event.endDate ? event.endDate.split('T')[0] : null;
+            return { startKey, endKey: endKey && endKey > startKey ? endKey : startKey };
+        }
+
+        function isMultiDayEvent(event) {
+            const { startKey, endKey } = getEventDateRange(event);
+            return Boolean(startKey) && endKey > startKey;
+        }
+
+        function eventOccursOn(event, dateKey) {
+            const { startKey, endKey } = getEventDateRange(event);
+            return Boolean(startKey) && dateKey >= startKey && dateKey <= endKey;
+        }
+
+        // "Oct 26 – Oct 30, 2026"
+        function formatDateRange(event) {
+            const { startKey, endKey } = getEventDateRange(event);
+            const options = { month: 'short', day: 'numeric' };
+            const start = parseDateKey(startKey);
+            const end = parseDateKey(endKey);
+            return `${start.toLocaleDateString('en-US', options)} – ${end.toLocaleDateString('en-US', { ...options, year: 'numeric' })}`;
+        }
+
+        // Order a day's programs: all-day first, then by start time, unknown times last
+        // startsAt carries Toronto's offset, so characters 11-16 are the local HH:mm even for multi-day programs
+        function compareEventsByTime(a, b) {
+            const rank = event => event.allDay ? 0 : (event.timeUnknown || !event.startsAt ? 2 : 1);
+            const localTime = event => event.startsAt ? event.startsAt.slice(11, 16) : '';
+            return rank(a) - rank(b) ||
+                localTime(a).localeCompare(localTime(b)) ||
+                (a.title || '').localeCompare(b.title || '');
+        }
+
+        function formatDuration(minutes) {
+            if (!minutes) return '';
+            const hours = Math.floor(minutes / 60);
+            const rest = minutes % 60;
+            if (hours === 0) return `${rest} min`;
+            return rest === 0 ? `${hours} hr` : `${hours} hr ${rest} min`;
+        }
+
+        // "10:30 AM – 11:00 AM (30 min)", "All day" or "Time TBD"
+        function formatEventTime(event) {
+            if (event.allDay) return 'All day';
+            if (event.timeUnknown || !event.startTime) return 'Time TBD';
+            const range = event.endTime ? `${event.startTime} – ${event.endTime}` : event.startTime;
+            return event.durationMinutes ? `${range} (${formatDuration(event.durationMinutes)})` : range;
+        }
+
         // Helper function to create timezone-safe date objects
         function createUTCDate(year, month, day) {
             return new Date(Date.UTC(year, month, day));
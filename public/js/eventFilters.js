@@ -0,0 +1,91 @@
+// Multi-value sidebar filters, shared by GET /api/events (required from routes/events.js) and app.js
+// (loaded as window.EventFilters) so the server and the browser agree on what matches
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.EventFilters = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+  // Values an event can be matched on for each filter; older cached events only have the scalar fields
+  const FILTER_FIELDS = {
+    library: event => [event.library],
+    branch: event => [event.branchCode],
+    // A taxonomy parent ("Arts & Culture") matches every program in the group
+    category: event => [
+      ...(event.categories && event.categories.length > 0 ? event.categories : [event.category]),
+      ...(event.categoryGroups && event.categoryGroups.length > 0 ? event.categoryGroups : [event.categoryGroup])
+    ],
+    ageGroup: event => (event.ageGroups && event.ageGroups.length > 0 ? event.ageGroups : [event.ageGroup]),
+    registration: event => [event.registration]
+  };
+
+  function normalize(value) {
+    return String(value).trim().toLowerCase();
+  }
+
+  // "High Park,Beaches" or ["High Park", "!Beaches"] -> { include, exclude }; a leading ! excludes
+  function parseFilterValues(value) {
+    const values = (Array.isArray(value) ? value : [value])
+      .filter(item => item !== undefined && item !== null)
+      .flatMap(item => String(item).split(','))
+      .map(item => item.trim())
+      .filter(Boolean);
+
+    return {
+      include: values.filter(item => !item.startsWith('!')),
+      exclude: values.filter(item => item.startsWith('!')).map(item => item.slice(1).trim()).filter(Boolean)
+    };
+  }
+
+  // Filters present in a query object (e.g. req.query), keyed by FILTER_FIELDS name
+  function buildFilters(query) {
+    const filters = {};
+    Object.keys(FILTER_FIELDS).forEach(field => {
+      if (query[field] === undefined) return;
+      const { include, exclude } = parseFilterValues(query[field]);
+      if (include.length > 0 || exclude.length > 0) {
+        filters[field] = { include, exclude };
+      }
+    });
+    return filters;
+  }
+
+  // Exact, case-insensitive: any include value must match, no exclude value may match
+  function matchesFilters(event, filters) {
+    return Object.keys(filters).every(field => {
+      const { include = [], exclude = [] } = filters[field];
+      const values = FILTER_FIELDS[field](event).filter(Boolean).map(normalize);
+      if (include.length > 0 && !include.some(item => values.includes(normalize(item)))) return false;
+      if (exclude.some(item => values.includes(normalize(item)))) return false;
+      return true;
+    });
+  }
+
+  // Disjunctive facet counts: { field: { value: count } }, each field counted over the events that match
+  // every other filter, so ticking one library still shows how many programs the other libraries have
+  function countFacets(events, filters, fields = Object.keys(FILTER_FIELDS)) {
+    const counts = {};
+    fields.forEach(field => {
+      const otherFilters = Object.assign({}, filters);
+      delete otherFilters[field];
+      counts[field] = {};
+      events.forEach(event => {
+        if (!matchesFilters(event, otherFilters)) return;
+        new Set(FILTER_FIELDS[field](event).filter(Boolean)).forEach(value => {
+          counts[field][value] = (counts[field][value] || 0) + 1;
+        });
+      });
+    });
+    return counts;
+  }
+
+  return {
+    FILTER_FIELDS,
+    parseFilterValues,
+    buildFilters,
+    matchesFilters,
+    countFacets
+  };
+}));
@@ -0,0 +1,139 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const Branch = require('../models/Branch');
+const LocationProcessor = require('../services/locationProcessor');
+const { fetchAndCacheEvents, processor } = require('../services/eventCache');
+const { fetchAndCacheLocations } = require('../services/locationCache');
+const { todayKey, dateKey } = require('../services/torontoTime');
+
+const locationProcessor = new LocationProcessor();
+
+// Branches from Mongo when available, otherwise straight from the locations dataset
+async function loadBranches() {
+  if (mongoose.connection.readyState === 1) {
+    const stored = await Branch.find({}, { rawData: 0, __v: 0 }).lean();
+    if (stored.length > 0) {
+      return { branches: stored, source: 'database' };
+    }
+  }
+
+  const cache = await fetchAndCacheLocations();
+  const branches = cache.records
+    .map(record => {
+      const { rawData, ...branch } = locationProcessor.toBranch(record);
+      return branch;
+    })
+    .filter(branch => branch.branchCode && branch.name);
+  return { branches, source: cache.source };
+}
+
+// Upcoming (today or later) active events grouped by branch code
+async function loadUpcomingEventsByBranch() {
+  try {
+    const cache = await fetchAndCacheEvents();
+    const today = todayKey();
+    const byBranch = new Map();
+    cache.processed.forEach(event => {
+      if (!event.branchCode) return;
+      const startKey = dateKey(event.startDate);
+      if (!startKey || startKey < today) return;
+      if (!byBranch.has(event.branchCode)) {
+        byBranch.set(event.branchCode, []);
+      }
+      byBranch.get(event.branchCode).push(event);
+    });
+    return byBranch;
+  } catch (error) {
+    console.error('❌ Could not load events for branch counts:', error.message);
+    return null;
+  }
+}
+
+// GET / - Every branch with its upcoming event count
+router.get('/', async (req, res) => {
+  try {
+    const { physical } = req.query;
+
+    const [{ branches, source }, upcomingByBranch] = await Promise.all([
+      loadBranches(),
+      loadUpcomingEventsByBranch()
+    ]);
+
+    const results = branches
+      .filter(branch => physical === undefined || branch.physicalBranch === (physical === 'true'))
+      .map(branch => ({
+        ...branch,
+        upcomingEvents: upcomingByBranch ? (upcomingByBranch.get(branch.branchCode) || []).length : null
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    res.set('Cache-Control', 'public, max-age=300, stale-while-revalidate=300');
+    res.json({
+      success: true,
+      branches: results,
+      total: results.length,
+      source
+    });
+
+  } catch (error) {
+    console.error('❌ Branches error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      branches: []
+    });
+  }
+});
+
+// GET /:branchCode - One branch with its upcoming events
+router.get('/:branchCode', async (req, res) => {
+  try {
+    const branchCode = req.params.branchCode.toUpperCase();
+
+    const [{ branches, source }, upcomingByBranch] = await Promise.all([
+      loadBranches(),
+      loadUpcomingEventsByBranch()
+    ]);
+
+    const branch = branches.find(b => b.branchCode.toUpperCase() === branchCode);
+    if (!branch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Branch not found'
+      });
+    }
+
+    const upcoming = upcomingByBranch ? (upcomingByBranch.get(branch.branchCode) || []) : null;
+    const nextEvents = upcoming
+      ? upcoming
+        .map(({ rawData, ...event }) => processor.serializeEvent(event))
+        .sort((a, b) =>
+          a.startDate.localeCompare(b.startDate) ||
+          (Date.parse(a.startsAt) || 0) - (Date.parse(b.startsAt) || 0)
+        )
+        .slice(0, 10)
+      : [];
+
+    res.set('Cache-Control', 'public, max-age=300, stale-while-revalidate=300');
+    res.json({
+      success: true,
+      branch: {
+        ...branch,
+        upcomingEvents: upcoming ? upcoming.length : null
+      },
+      nextEvents,
+      source
+    });
+
+  } catch (error) {
+    console.error('❌ Branch error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,66 +1,49 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 
 // Try to load services, but don't crash if they fail
-let TorontoLibraryAPI, EventProcessor, LibraryEvent;
+let TorontoLibraryAPI, EventProcessor, ChangeTracker, EventSearch, LibraryEvent;
 
 try {
   TorontoLibraryAPI = require('../services/torontoLibraryAPI');
   EventProcessor = require('../services/eventProcessor');
+  ChangeTracker = require('../services/changeTracker');
+  EventSearch = require('../services/eventSearch');
   LibraryEvent = require('../models/LibraryEvent');
 } catch (error) {
   console.log('⚠️  Some services not available:', error.message);
 }
 
 // Initialize services if available
-let libraryAPI, processor;
+let libraryAPI, processor, fetchAndCacheEvents, findEvent, fetchAndCacheLocations, findBranch, findBranchesNear, runSync, listSyncRuns, getSchedulerStatus;
 if (TorontoLibraryAPI && EventProcessor) {
-  libraryAPI = new TorontoLibraryAPI();
-  processor = new EventProcessor();
+  ({ libraryAPI, processor, fetchAndCacheEvents, findEvent } = require('../services/eventCache'));
+  ({ runSync, listSyncRuns, getSchedulerStatus } = require('../services/eventSync'));
+  ({ fetchAndCacheLocations, findBranch, findBranchesNear } = require('../services/locationCache'));
 }
 
-const CACHE_TTL = parseInt(process.env.EVENT_CACHE_TTL || '300000', 10); // default 5 minutes
-let eventsCache = null;
-let cachePromise = null;
+const { parseAges, isSuitableForAges } = require('../services/ageRanges');
+const { MAX_LIMIT, SORT_FIELDS, parseSort, sortEvents, paginate, parseFields, projectEvent } = require('../services/eventListing');
+const { parseScheduleQuery, matchesSchedule } = require('../services/scheduleFilters');
+const { todayKey } = require('../services/torontoTime');
+// Same filter definition app.js uses in the browser
+const { buildFilters, matchesFilters, countFacets } = require('../public/js/eventFilters');
 
-async function fetchAndCacheEvents(forceRefresh = false) {
-  if (!libraryAPI || !processor) {
-    throw new Error('Services not configured');
-  }
-
-  const cacheIsFresh = !forceRefresh && eventsCache && (Date.now() - eventsCache.timestamp < CACHE_TTL);
-  if (cacheIsFresh) {
-    return eventsCache;
-  }
+const MAX_NEARBY_RADIUS_KM = 100;
 
-  if (cachePromise && !forceRefresh) {
-    return cachePromise;
-  }
-
-  cachePromise = (async () => {
-    console.log(forceRefresh ? '🔄 Forcing event cache refresh...' : '🗂️ Building event cache...');
-    const { events, package: packageInfo } = await libraryAPI.getAllLibraryEvents();
-    const processedEvents = events.map(event => processor.normalizeEvent(event));
-    eventsCache = {
-      raw: events,
-      processed: processedEvents,
-      timestamp: Date.now(),
-      packageInfo
-    };
-    cachePromise = null;
-    console.log(`✅ Cached ${processedEvents.length} events at ${new Date(eventsCache.timestamp).toISOString()}`);
-    return eventsCache;
-  })().catch(error => {
-    cachePromise = null;
-    throw error;
-  });
+let changeTracker;
+if (ChangeTracker) {
+  changeTracker = new ChangeTracker();
+}
 
-  return cachePromise;
+let eventSearch;
+if (EventSearch) {
+  eventSearch = new EventSearch();
 }
 
-function bustEventCache() {
-  eventsCache = null;
-  cachePromise = null;
+function isDatabaseConnected() {
+  return mongoose.connection.readyState === 1;
 }
 
 const ADMIN_API_KEY = process.env.ADMIN_API_KEY || '';
@@ -69,7 +52,7 @@ let adminKeyMissingWarned = false;
 function requireAdminKey(req, res, next) {
   if (!ADMIN_API_KEY) {
     if (!adminKeyMissingWarned) {
-      console.warn('⚠️  ADMIN_API_KEY not configured. Refresh route disabled until it is set.');
+      console.warn('⚠️  ADMIN_API_KEY not configured. Admin routes disabled until it is set.');
       adminKeyMissingWarned = true;
     }
     return res.status(503).json({
@@ -90,9 +73,22 @@ function requireAdminKey(req, res, next) {
   return next();
 }
 
-// GET /filters - Extract from correct field names
+// GET /filters - Filter options, with facet counts for the current selection
 router.get('/filters', async (req, res) => {
   try {
+    // Same filters as GET /; counts cover upcoming programs unless from or month is given
+    const eventFilters = parseEventFilters(
+      req.query.from === undefined && req.query.month === undefined
+        ? { ...req.query, from: todayKey() }
+        : req.query
+    );
+    if (eventFilters.error) {
+      return res.status(400).json({
+        success: false,
+        error: eventFilters.error
+      });
+    }
+
     if (!libraryAPI || !processor) {
       return res.json({
         success: false,
@@ -107,13 +103,10 @@ router.get('/filters', async (req, res) => {
     // Extract libraries
     const libraries = [...new Set(processedEvents.map(e => e.library).filter(Boolean))].sort();
     
-    // Extract categories from eventtype fields
-    const allCategories = events.flatMap(event => [
-      event.eventtype1,
-      event.eventtype2,
-      event.eventtype3
-    ].filter(Boolean));
-    const categories = [...new Set(allCategories)].sort();
+    // Canonical categories (see data/category-taxonomy.json)
+    const categories = processor.getCategoryTree(processedEvents)
+      .flatMap(group => group.children.map(child => child.label))
+      .sort();
     
     // Extract age groups from agegroup fields
     const allAgeGroups = events.flatMap(event => [
@@ -123,16 +116,48 @@ router.get('/filters', async (req, res) => {
     ].filter(Boolean));
     const ageGroups = [...new Set(allAgeGroups)].sort();
 
-    console.log(`✅ Real data: ${libraries.length} libraries, ${categories.length} categories, ${ageGroups.length} age groups`);
+    // The numeric ages each label maps to, so the UI can explain the age filter
+    const ageRangesByLabel = new Map();
+    processedEvents.forEach(event => {
+      (event.ageRanges || []).forEach(range => ageRangesByLabel.set(range.label, range));
+    });
+    const ageRanges = [...ageRangesByLabel.values()].sort((a, b) => a.label.localeCompare(b.label));
+
+    // Facet counts: each value's matching programs given every other selection (disjunctive within a
+    // group). Values with no programs are left out unless selected, so a ticked option stays listed
+    const { filters } = eventFilters;
+    const candidates = processedEvents.filter(eventFilters.matchesOthers);
+    const counts = countFacets(candidates, filters);
+    const facets = Object.fromEntries(Object.entries(counts).map(([field, valueCounts]) => {
+      (filters[field] ? filters[field].include : []).forEach(value => {
+        const known = Object.keys(valueCounts).some(key => key.toLowerCase() === value.toLowerCase());
+        if (!known) valueCounts[value] = 0;
+      });
+      const values = Object.entries(valueCounts)
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => a.value.localeCompare(b.value));
+      return [field, values];
+    }));
+
+    // Parent > child category tree with the same disjunctive counts
+    const { category, ...otherFilters } = filters;
+    const categoryTree = processor.getCategoryTree(candidates.filter(event => matchesFilters(event, otherFilters)));
 
-    res.set('Cache-Control', 'public, max-age=300, stale-while-revalidate=300');
+    console.log(`✅ Real data: ${libraries.length} libraries, ${categories.length} categories, ${ageGroups.length} age groups, facets over ${candidates.length} programs`);
+
+    res.set('Cache-Control', 'public, max-age=60, stale-while-revalidate=120');
     res.json({
       success: true,
       filters: {
         libraries,
         categories,
-        ageGroups
-      }
+        categoryTree,
+        ageGroups,
+        ageRanges
+      },
+      facets,
+      total: candidates.filter(event => matchesFilters(event, filters)).length,
+      appliedFilters: eventFilters.applied
     });
 
   } catch (error) {
@@ -154,24 +179,247 @@ router.get('/test', (req, res) => {
       api: !!libraryAPI,
       processor: !!processor,
       database: !!LibraryEvent
-    }
+    },
+    upstream: libraryAPI ? libraryAPI.getStatus() : null
   });
 });
 
+// GET /search - Relevance-ranked search with highlighted snippets and "did you mean" suggestions
+router.get('/search', async (req, res) => {
+  try {
+    // A repeated ?q= arrives as an array
+    if (req.query.q !== undefined && typeof req.query.q !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Query parameter q must be given once'
+      });
+    }
+    const query = (req.query.q || '').trim();
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 500);
+
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        error: 'Query parameter q is required'
+      });
+    }
+
+    if (!eventSearch || !processor) {
+      return res.json({
+        success: false,
+        error: 'Services not properly configured. Try refreshing data.',
+        results: []
+      });
+    }
+
+    // The cache backs the in-memory fallback and the "did you mean" vocabulary
+    const cache = await fetchAndCacheEvents();
+    const { results, didYouMean, source } = await eventSearch.search(query, { events: cache.processed, limit });
+
+    console.log(`🔍 Search "${query}" returned ${results.length} results from ${source}`);
+
+    res.set('Cache-Control', 'public, max-age=60, stale-while-revalidate=120');
+    res.json({
+      success: true,
+      query,
+      results: results.map(({ event, score, highlights }) => {
+        const { rawData, ...rest } = event;
+        return { ...processor.serializeEvent(rest), score, highlights };
+      }),
+      total: results.length,
+      didYouMean,
+      source
+    });
+
+  } catch (error) {
+    console.error('❌ Search error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      results: []
+    });
+  }
+});
+
+// GET /suggest - Search-as-you-type: titles, branches, categories and series starting with the typed words
+router.get('/suggest', async (req, res) => {
+  try {
+    if (req.query.q !== undefined && typeof req.query.q !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Query parameter q must be given once',
+        suggestions: {}
+      });
+    }
+    const query = (req.query.q || '').trim();
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 5, 1), 20);
+
+    if (!processor) {
+      return res.json({
+        success: false,
+        error: 'Services not properly configured. Try refreshing data.',
+        suggestions: {}
+      });
+    }
+
+    const cache = await fetchAndCacheEvents();
+
+    res.set('Cache-Control', 'public, max-age=300, stale-while-revalidate=300');
+    res.json({
+      success: true,
+      query,
+      suggestions: cache.suggestions.suggest(query, limit)
+    });
+
+  } catch (error) {
+    console.error('❌ Suggest error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      suggestions: {}
+    });
+  }
+});
+
+// Filters shared by GET /, GET /nearby and GET /filters: search, the multi-value filters, ages and the schedule
+// Returns { error } for an unreadable query, otherwise { matches(event), applied }, plus the multi-value
+// filters and matchesOthers(event) - everything but those - for facet counts
+function parseEventFilters(query) {
+  // library, branch, category, ageGroup and registration take several values (repeated or
+  // comma-separated, "!" to exclude) and are read by buildFilters
+  // month (1-12) with year, or from/to (YYYY-MM-DD), are read by parseScheduleQuery
+  const {
+    search,
+    age,    // A child's age in years
+    ages,   // Several children's ages, e.g. "4,9"
+    ageMatch = 'any', // "all" = suitable for every age given
+    days,   // e.g. "sat,sun", "weekend"
+    timeOfDay, // morning, afternoon or evening start
+    startAfter, // e.g. "15:30" - starts at or after
+    endBefore   // ends by
+  } = query;
+
+  if (search !== undefined && typeof search !== 'string') {
+    return { error: 'search must be given once' };
+  }
+  const schedule = parseScheduleQuery(query, parseInt(todayKey().slice(0, 4), 10));
+  if (schedule.error) {
+    return { error: schedule.error };
+  }
+  const filters = buildFilters(query);
+
+  // Ages are whole years; anything else would otherwise be dropped and return the unfiltered list
+  const ageValues = [age, ages].filter(Boolean)
+    .flatMap(value => [].concat(value))
+    .flatMap(value => String(value).split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+  const invalidAge = ageValues.find(value => !/^\d{1,3}$/.test(value) || parseInt(value, 10) > 120);
+  if (invalidAge !== undefined) {
+    return { error: `Invalid age "${invalidAge}", ages are whole years from 0 to 120` };
+  }
+  if (ageMatch !== 'any' && ageMatch !== 'all') {
+    return { error: 'ageMatch must be "any" or "all"' };
+  }
+  const requestedAges = parseAges(ageValues);
+  const searchTerm = search && search.trim() ? search.toLowerCase() : null;
+
+  const matchesOthers = event => {
+    // Text search
+    if (searchTerm) {
+      const searchableText = [
+        event.title,
+        event.description,
+        event.library,
+        ...processor.getCategories(event)
+      ].filter(Boolean).join(' ').toLowerCase();
+
+      if (!searchableText.includes(searchTerm)) {
+        return false;
+      }
+    }
+
+    // Age filter - programs suitable for the given ages; ones without age groups are open to all
+    if (requestedAges.length > 0 && !isSuitableForAges(event.ageRanges, requestedAges, ageMatch)) {
+      return false;
+    }
+
+    // Date range, weekday and time-of-day filters against the parsed Toronto times
+    return matchesSchedule(event, schedule);
+  };
+
+  // Library, branch, category, age group and registration - exact matches, see public/js/eventFilters.js
+  const matches = event => matchesFilters(event, filters) && matchesOthers(event);
+
+  return {
+    matches,
+    matchesOthers,
+    filters,
+    applied: {
+      search,
+      ...filters,
+      ages: requestedAges.length > 0 ? requestedAges : undefined,
+      ageMatch: requestedAges.length > 0 ? ageMatch : undefined,
+      from: schedule.from || undefined,
+      to: schedule.to || undefined,
+      days, timeOfDay, startAfter, endBefore
+    }
+  };
+}
+
 // GET / - Main events endpoint for calendar view
 router.get('/', async (req, res) => {
   try {
     console.log('📋 Events API called with query:', req.query);
     
+    // Filter parameters are read by parseEventFilters
     const { 
-      search, 
-      library, 
-      category, 
-      ageGroup,
-      month,  // Add month parameter for calendar view
-      year    // Add year parameter for calendar view
+      includeCancelled = 'true',
+      sort = 'date', // date, title, branch or lastUpdated; "-" prefix for descending
+      limit,  // Page size; every matching event when omitted
+      cursor, // nextCursor from the previous page
+      fields  // e.g. "title,startDate,library"; rawData only when listed
     } = req.query;
 
+    if (fields !== undefined && typeof fields !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'fields must be given once, as a comma-separated list',
+        events: []
+      });
+    }
+
+    const sortOrder = parseSort(sort);
+    if (!sortOrder) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown sort "${[].concat(sort).join(',')}". Use one of ${SORT_FIELDS.join(', ')}, prefixed with - for descending`,
+        events: []
+      });
+    }
+
+    let pageSize = null;
+    if (limit !== undefined) {
+      pageSize = parseInt(limit, 10);
+      if (isNaN(pageSize) || pageSize < 1) {
+        return res.status(400).json({
+          success: false,
+          error: 'limit must be a positive number',
+          events: []
+        });
+      }
+      pageSize = Math.min(pageSize, MAX_LIMIT);
+    }
+
+    const eventFilters = parseEventFilters(req.query);
+    if (eventFilters.error) {
+      return res.status(400).json({
+        success: false,
+        error: eventFilters.error,
+        events: []
+      });
+    }
+
     if (!libraryAPI || !processor) {
       return res.json({
         success: false,
@@ -183,97 +431,51 @@ router.get('/', async (req, res) => {
     // Get all events from cache or API
     const cache = await fetchAndCacheEvents();
     const cacheAgeSeconds = Math.round((Date.now() - cache.timestamp) / 1000);
-    console.log(`🗂️ Using cached events dataset (${cache.processed.length} items, age ${cacheAgeSeconds}s)`);
+    console.log(`🗂️ Using ${cache.stale ? 'stale ' : ''}cached events dataset (${cache.processed.length} items, age ${cacheAgeSeconds}s)`);
     
-    // Process all events
-    let processedEvents = cache.processed;
+    // Process all events, plus recently cancelled ones so bookmarked programs don't just vanish
+    let processedEvents = includeCancelled === 'false'
+      ? cache.processed
+      : cache.processed.concat(cache.cancelled || []);
     
     // Apply text and dropdown filters first
-    let filteredEvents = processedEvents.filter(event => {
-      // Text search
-      if (search && search.trim()) {
-        const searchTerm = search.toLowerCase();
-        const searchableText = [
-          event.title,
-          event.description,
-          event.library,
-          event.category
-        ].filter(Boolean).join(' ').toLowerCase();
-        
-        if (!searchableText.includes(searchTerm)) {
-          return false;
-        }
-      }
-
-      // Library filter
-      if (library && library.trim()) {
-        if (!event.library || !event.library.toLowerCase().includes(library.toLowerCase())) {
-          return false;
-        }
-      }
+    let filteredEvents = processedEvents.filter(eventFilters.matches);
 
-      // Category filter
-      if (category && category.trim()) {
-        if (!event.category || !event.category.toLowerCase().includes(category.toLowerCase())) {
-          return false;
-        }
-      }
-
-      // Age group filter
-      if (ageGroup && ageGroup.trim()) {
-        if (!event.ageGroup || !event.ageGroup.toLowerCase().includes(ageGroup.toLowerCase())) {
-          return false;
-        }
-      }
-
-      return true;
-    });
-
-    // For calendar view: don't limit to 50, return all filtered events
-    // The frontend calendar will only display events for the visible month
-    console.log(`✅ Returning ${filteredEvents.length} filtered events from ${processedEvents.length} total`);
+    // The calendar asks without a limit and gets every filtered event; API consumers can page through instead
+    let page;
+    try {
+      page = paginate(sortEvents(filteredEvents, sortOrder), sortOrder, { limit: pageSize, cursor });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        events: []
+      });
+    }
+    console.log(`✅ Returning ${page.events.length} of ${filteredEvents.length} filtered events from ${processedEvents.length} total`);
     
-    // Normalize dates to ensure consistency across timezones
-    // Since source data is already in EST, ensure all dates are sent as date-only strings (YYYY-MM-DD)
-    // This prevents timezone conversion issues when dates are serialized to JSON
-    const normalizedEvents = filteredEvents.map(event => {
-      const normalized = { ...event };
-      
-      // Convert startDate to date-only string (YYYY-MM-DD) to preserve EST date
-      if (event.startDate) {
-        if (event.startDate instanceof Date) {
-          // Extract the date components as they are (source is already in EST)
-          const year = event.startDate.getFullYear();
-          const month = event.startDate.getMonth() + 1; // getMonth() is 0-indexed
-          const day = event.startDate.getDate();
-          // Format as YYYY-MM-DD string to preserve the EST date
-          normalized.startDate = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-        }
-        // If it's already a string, keep it as-is (it's already in EST format)
-      }
-      
-      // Same for endDate
-      if (event.endDate) {
-        if (event.endDate instanceof Date) {
-          const year = event.endDate.getFullYear();
-          const month = event.endDate.getMonth() + 1;
-          const day = event.endDate.getDate();
-          normalized.endDate = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-        }
-        // If it's already a string, keep it as-is
-      }
-      
-      return normalized;
-    });
+    // Same date/instant format for every event, whether it came from the cache or Mongo
+    const fieldList = parseFields(fields);
+    const normalizedEvents = page.events.map(event => projectEvent(processor.serializeEvent(event), fieldList));
     
     res.set('Cache-Control', 'public, max-age=60, stale-while-revalidate=120');
+    res.set('X-Total-Count', String(filteredEvents.length));
+    if (page.nextCursor) {
+      const nextUrl = new URL(req.originalUrl, 'http://localhost');
+      nextUrl.searchParams.set('cursor', page.nextCursor);
+      res.set('X-Next-Cursor', page.nextCursor);
+      res.set('Link', `<${nextUrl.pathname}${nextUrl.search}>; rel="next"`);
+    }
     res.json({
       success: true,
       events: normalizedEvents,  // Return normalized events
-      total: normalizedEvents.length,
+      total: filteredEvents.length,
+      count: normalizedEvents.length,
+      nextCursor: page.nextCursor,
       allEvents: processedEvents.length,
-      source: 'fresh_api_filtered',
-      appliedFilters: { search, library, category, ageGroup }
+      cancelled: filteredEvents.filter(event => event.status === 'cancelled').length,
+      source: cache.stale ? 'stale_cache_filtered' : 'fresh_api_filtered',
+      appliedFilters: { ...eventFilters.applied, sort }
     });
 
   } catch (error) {
@@ -297,23 +499,22 @@ router.post('/refresh', requireAdminKey, async (req, res) => {
     }
 
     console.log('🔄 Starting refresh...');
-    const cache = await fetchAndCacheEvents(true);
+    const sync = await runSync('manual');
     
-    let result = { 
-      total: cache.processed.length, 
-      saved: 0, 
-      updated: 0, 
-      errors: 0,
-      cachedAt: new Date(cache.timestamp).toISOString()
+    const result = {
+      ...sync.stats,
+      cachedAt: new Date(sync.cache.timestamp).toISOString()
     };
     
     res.json({
       success: true,
       message: 'Library events refreshed successfully!',
       stats: result,
+      syncRunId: sync.runId,
       packageInfo: {
-        title: cache.packageInfo?.title,
-        lastUpdated: cache.packageInfo?.metadata_modified
+        title: sync.packageTitle,
+        lastUpdated: sync.packageModified,
+        changed: sync.packageChanged
       }
     });
 
@@ -325,214 +526,209 @@ router.post('/refresh', requireAdminKey, async (req, res) => {
     });
   }
 });
-// Add to your existing routes/events.js
 
-// Try to load the new location processor
-let LocationProcessor;
-try {
-  LocationProcessor = require('../services/locationProcessor');
-} catch (error) {
-  console.log('⚠️  LocationProcessor not available:', error.message);
-}
+// GET /sync-runs - Recent background/manual sync runs (admin only)
+router.get('/sync-runs', requireAdminKey, async (req, res) => {
+  try {
+    if (!listSyncRuns) {
+      return res.json({
+        success: false,
+        error: 'Services not configured'
+      });
+    }
 
-let locationProcessor;
-if (LocationProcessor) {
-  locationProcessor = new LocationProcessor();
-}
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const { runs, lastPackageChange } = await listSyncRuns(limit);
 
-// Replace the locations route in your routes/events.js with this simpler version:
+    res.json({
+      success: true,
+      runs,
+      total: runs.length,
+      lastPackageChange,
+      scheduler: getSchedulerStatus()
+    });
 
-router.get('/locations', async (req, res) => {
-  const https = require("https");
-  const packageId = "f5aa9b07-da35-45e6-b31f-d6790eb9bd9b";
+  } catch (error) {
+    console.error('❌ Sync runs error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
+// GET /source-schema - Describe the fields offered by the configured data source (admin only)
+router.get('/source-schema', requireAdminKey, async (req, res) => {
   try {
-    console.log('📍 Fetching library locations using CKAN API...');
-
-    // Promise to retrieve the package
-    const getPackage = new Promise((resolve, reject) => {
-      https.get(`https://ckan0.cf.opendata.inter.prod-toronto.ca/api/3/action/package_show?id=${packageId}`, (response) => {
-        let dataChunks = [];
-        response
-          .on("data", (chunk) => {
-            dataChunks.push(chunk);
-          })
-          .on("end", () => {
-            let data = Buffer.concat(dataChunks);
-            resolve(JSON.parse(data.toString())["result"]);
-          })
-          .on("error", (error) => {
-            reject(error);
-          });
+    if (!libraryAPI) {
+      return res.json({
+        success: false,
+        error: 'Services not configured'
       });
-    });
+    }
 
-    // Promise to retrieve data of a datastore resource
-    // In the getDatastoreResource function, modify the API call:
-    const getDatastoreResource = resource => new Promise((resolve, reject) => {
-      // Add limit parameter to get all records
-      const apiUrl = `https://ckan0.cf.opendata.inter.prod-toronto.ca/api/3/action/datastore_search?id=${resource["id"]}&limit=1000`;
-      
-      https.get(apiUrl, (response) => {
-        let dataChunks = [];
-        response
-          .on("data", (chunk) => {
-            dataChunks.push(chunk);
-          })
-          .on("end", () => {
-            let data = Buffer.concat(dataChunks);
-            resolve(JSON.parse(data.toString())["result"]["records"]);
-          })
-          .on("error", (error) => {
-            reject(error);
-          });
-      });
+    const schema = await libraryAPI.describeSchema();
+    res.json({
+      success: true,
+      schema
     });
 
-    // Execute the API calls
-    const pkg = await getPackage;
-    console.log("✅ Package retrieved:", pkg.title || pkg.name);
-
-    // Get datastore resources
-    let datastoreResources = pkg["resources"].filter(r => r.datastore_active);
-    console.log(`📊 Found ${datastoreResources.length} datastore resources`);
-
-    if (datastoreResources.length > 0) {
-      const records = await getDatastoreResource(datastoreResources[0]);
-      console.log(`📍 Retrieved ${records.length} location records`);
-
-      // Process the library location data
-      const locationLookup = {};
-      let validLocations = 0;
-
-      records.forEach((location, index) => {
-        console.log(`Processing record ${index}:`, Object.keys(location));
-        
-        // Check different possible field names for coordinates and branch names
-        const possibleLatFields = ['Lat', 'lat', 'latitude', 'Latitude', 'LATITUDE'];
-        const possibleLngFields = ['Long', 'lng', 'longitude', 'Longitude', 'LONGITUDE'];
-        const possibleNameFields = ['BranchName', 'Branch Name', 'Name', 'name', 'branch_name'];
-        
-        let lat, lng, branchName;
-        
-        // Find the coordinate fields
-        for (const field of possibleLatFields) {
-          if (location[field] !== undefined && location[field] !== null) {
-            lat = parseFloat(location[field]);
-            break;
-          }
-        }
-        
-        for (const field of possibleLngFields) {
-          if (location[field] !== undefined && location[field] !== null) {
-            lng = parseFloat(location[field]);
-            break;
-          }
-        }
-        
-        for (const field of possibleNameFields) {
-          if (location[field] && location[field].trim()) {
-            branchName = location[field].trim();
-            break;
-          }
-        }
+  } catch (error) {
+    console.error('❌ Source schema error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-        // Log first few records for debugging
-        if (index < 5) {
-          console.log(`Record ${index}:`, { branchName, lat, lng, location });
-        }
+// GET /unmatched-libraries - Event library names that did not resolve to a branch (admin only)
+// Fix them by adding an entry to data/branch-aliases.json
+router.get('/unmatched-libraries', requireAdminKey, async (req, res) => {
+  try {
+    if (!fetchAndCacheEvents) {
+      return res.json({
+        success: false,
+        error: 'Services not configured'
+      });
+    }
 
-        if (branchName && !isNaN(lat) && !isNaN(lng) && lat !== 0 && lng !== 0) {
-          // Create multiple name variations for better matching
-          const variations = [
-            branchName,
-            branchName.toLowerCase(),
-            branchName.replace(/\s+(Library|Branch)$/i, '').trim(),
-            branchName.replace(/\s+(Public\s+)?Library$/i, '').trim(),
-            branchName.replace(/\s+Branch$/i, '').trim(),
-          ];
-
-          const locationInfo = {
-            lat: lat,
-            lng: lng,
-            address: location.Address || location.address || '',
-            phone: location.Telephone || location.phone || ''
-          };
-
-          variations.forEach(variation => {
-            if (variation && variation.length > 1) {
-              locationLookup[variation] = locationInfo;
-              locationLookup[variation.toLowerCase()] = locationInfo;
-            }
-          });
+    const cache = await fetchAndCacheEvents();
+    const unmatched = new Map();
+    cache.processed.forEach(event => {
+      if (!event.library || event.branchCode) return;
+      if (!unmatched.has(event.library)) {
+        unmatched.set(event.library, { library: event.library, events: 0, sampleEventIds: [] });
+      }
+      const entry = unmatched.get(event.library);
+      entry.events++;
+      if (entry.sampleEventIds.length < 5) entry.sampleEventIds.push(event.eventId);
+    });
 
-          validLocations++;
-          
-          if (index < 10) {
-            console.log(`✅ Added: "${branchName}" at (${lat}, ${lng})`);
-          }
-        }
-      });
+    const results = [...unmatched.values()].sort((a, b) => b.events - a.events);
+    res.json({
+      success: true,
+      unmatched: results,
+      total: results.length,
+      eventsAffected: results.reduce((sum, entry) => sum + entry.events, 0),
+      totalEvents: cache.processed.length
+    });
 
-      console.log(`🎉 SUCCESS: Processed ${validLocations} valid locations`);
-      console.log(`📋 Sample keys:`, Object.keys(locationLookup).slice(0, 10));
+  } catch (error) {
+    console.error('❌ Unmatched libraries error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-      res.json({
-        success: true,
-        locations: locationLookup,
-        total: validLocations,
-        source: 'toronto-ckan-api',
-        packageTitle: pkg.title || pkg.name
+// GET /locations - Branch coordinates keyed by name variations for the map
+router.get('/locations', async (req, res) => {
+  try {
+    if (!fetchAndCacheLocations) {
+      return res.json({
+        success: false,
+        error: 'Services not configured'
       });
-
-    } else {
-      throw new Error("No datastore resources found");
     }
 
-  } catch (error) {
-    console.error('❌ CKAN API Error:', error.message);
-    
-    // Fallback to comprehensive static data
-    const comprehensiveLibraries = {
-      'Toronto Reference Library': { lat: 43.6532, lng: -79.3832 },
-      'toronto reference library': { lat: 43.6532, lng: -79.3832 },
-      'North York Central Library': { lat: 43.7615, lng: -79.4111 },
-      'north york central library': { lat: 43.7615, lng: -79.4111 },
-      'Scarborough Civic Centre': { lat: 43.7735, lng: -79.2584 },
-      'scarborough civic centre': { lat: 43.7735, lng: -79.2584 },
-      'High Park': { lat: 43.6465, lng: -79.4635 },
-      'high park': { lat: 43.6465, lng: -79.4635 },
-      'Beaches': { lat: 43.6677, lng: -79.2941 },
-      'beaches': { lat: 43.6677, lng: -79.2941 },
-      'Yorkville': { lat: 43.6708, lng: -79.3925 },
-      'yorkville': { lat: 43.6708, lng: -79.3925 },
-      'Cedarbrae': { lat: 43.7506, lng: -79.2204 },
-      'cedarbrae': { lat: 43.7506, lng: -79.2204 }
-    };
-        // Add this right before the res.json() in your /locations route
-        console.log('🔍 Sample location keys from API:', Object.keys(locationLookup).slice(0, 20));
-        console.log('🔍 Looking for: "Toronto Reference Library"');
-        console.log('🔍 Found in API:', locationLookup['Toronto Reference Library'] ? 'YES' : 'NO');
-        console.log('🔍 Found lowercase:', locationLookup['toronto reference library'] ? 'YES' : 'NO');
+    const cache = await fetchAndCacheLocations();
+    const physicalBranches = cache.branches.filter(branch =>
+      branch.physicalBranch === 1 && branch.latitude && branch.longitude
+    );
+
+    // Same coordinates keyed by branch code, for events whose library name resolved to a branch
+    const byBranchCode = {};
+    physicalBranches.forEach(branch => {
+      if (!branch.branchCode) return;
+      byBranchCode[branch.branchCode] = {
+        name: branch.name,
+        lat: branch.latitude,
+        lng: branch.longitude,
+        address: branch.address,
+        phone: branch.phone,
+        website: branch.website,
+        branchCode: branch.branchCode,
+        serviceTier: branch.serviceTier
+      };
+    });
+
+    res.set('Cache-Control', 'public, max-age=3600, stale-while-revalidate=3600');
     res.json({
       success: true,
-      locations: comprehensiveLibraries,
-      total: 7,
-      fallback: true,
+      locations: cache.lookup,
+      byBranchCode,
+      total: physicalBranches.length,
+      source: cache.source === 'upstream' ? libraryAPI.source.name : cache.source,
+      packageTitle: cache.packageInfo?.title,
+      cachedAt: new Date(cache.timestamp).toISOString(),
+      fallback: cache.source === 'snapshot',
+      ...(cache.error ? { error: cache.error } : {})
+    });
+
+  } catch (error) {
+    console.error('❌ Locations API Error:', error);
+    res.status(500).json({
+      success: false,
       error: error.message
     });
   }
 });
 
-// GET /nearby - Get events near a specific location
+// GET /nearby - Events at branches within radius km of a point, nearest branch first
+// Takes the same filters as GET /; without from or month only programs from today on are returned
 router.get('/nearby', async (req, res) => {
   try {
-    const { lat, lng, radius = 10 } = req.query; // radius in km
-    
-    if (!lat || !lng) {
+    const {
+      lat,
+      lng,
+      radius = 10, // km
+      includeCancelled = 'false',
+      limit
+    } = req.query;
+
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lng);
+    const radiusKm = parseFloat(radius);
+    if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      return res.status(400).json({
+        success: false,
+        error: 'lat and lng are required and must be valid coordinates',
+        events: []
+      });
+    }
+    if (isNaN(radiusKm) || radiusKm <= 0 || radiusKm > MAX_NEARBY_RADIUS_KM) {
+      return res.status(400).json({
+        success: false,
+        error: `radius must be between 0 and ${MAX_NEARBY_RADIUS_KM} km`,
+        events: []
+      });
+    }
+
+    let pageSize = null;
+    if (limit !== undefined) {
+      pageSize = parseInt(limit, 10);
+      if (isNaN(pageSize) || pageSize < 1) {
+        return res.status(400).json({
+          success: false,
+          error: 'limit must be a positive number',
+          events: []
+        });
+      }
+      pageSize = Math.min(pageSize, MAX_LIMIT);
+    }
+
+    const eventFilters = parseEventFilters(
+      req.query.from === undefined && req.query.month === undefined
+        ? { ...req.query, from: todayKey() }
+        : req.query
+    );
+    if (eventFilters.error) {
       return res.status(400).json({
         success: false,
-        error: 'Latitude and longitude are required'
+        error: eventFilters.error,
+        events: []
       });
     }
 
@@ -544,35 +740,43 @@ router.get('/nearby', async (req, res) => {
       });
     }
 
-    // Get all events
-    const { events } = await libraryAPI.getAllLibraryEvents();
-    let processedEvents = events.map(event => processor.normalizeEvent(event));
-    
-    // Filter events by distance
-    const nearbyEvents = processedEvents.filter(event => {
-      if (!event.library) return false;
-      
-      const libraryCoords = libraryCoordinates[event.library];
-      if (!libraryCoords) return false;
-      
-      const distance = calculateDistance(
-        parseFloat(lat), 
-        parseFloat(lng), 
-        libraryCoords.lat, 
-        libraryCoords.lng
-      );
-      
-      return distance <= parseFloat(radius);
-    });
+    const [{ branches, source }, cache] = await Promise.all([
+      findBranchesNear(latitude, longitude, radiusKm),
+      fetchAndCacheEvents()
+    ]);
+    const distances = new Map(branches.map(branch => [branch.branchCode, branch.distanceKm]));
+
+    const processedEvents = includeCancelled === 'true'
+      ? cache.processed.concat(cache.cancelled || [])
+      : cache.processed;
+
+    // Nearest branch first, then by date within a branch
+    const nearbyEvents = sortEvents(
+      processedEvents.filter(event => distances.has(event.branchCode) && eventFilters.matches(event)),
+      parseSort('date')
+    ).sort((a, b) => distances.get(a.branchCode) - distances.get(b.branchCode));
+
+    const events = (pageSize ? nearbyEvents.slice(0, pageSize) : nearbyEvents).map(event => ({
+      ...projectEvent(processor.serializeEvent(event), null),
+      distanceKm: Math.round(distances.get(event.branchCode) * 100) / 100
+    }));
 
-    console.log(`📍 Found ${nearbyEvents.length} events within ${radius}km of (${lat}, ${lng})`);
+    console.log(`📍 Found ${nearbyEvents.length} events at ${branches.length} branches within ${radiusKm}km of (${latitude}, ${longitude})`);
 
+    res.set('Cache-Control', 'public, max-age=60, stale-while-revalidate=120');
     res.json({
       success: true,
-      events: nearbyEvents,
+      events,
       total: nearbyEvents.length,
-      location: { lat: parseFloat(lat), lng: parseFloat(lng) },
-      radius: parseFloat(radius)
+      count: events.length,
+      branches: branches.map(branch => ({
+        ...branch,
+        distanceKm: Math.round(branch.distanceKm * 100) / 100
+      })),
+      location: { lat: latitude, lng: longitude },
+      radius: radiusKm,
+      source,
+      appliedFilters: eventFilters.applied
     });
 
   } catch (error) {
@@ -585,18 +789,6 @@ router.get('/nearby', async (req, res) => {
   }
 });
 
-// Helper function for distance calculation
-function calculateDistance(lat1, lng1, lat2, lng2) {
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLng = (lng2 - lng1) * Math.PI / 180;
-  const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-            Math.sin(dLng/2) * Math.sin(dLng/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
-}
-
 // GET /new - Get newly updated programs based on lastUpdated field
 router.get('/new', async (req, res) => {
   try {
@@ -850,31 +1042,12 @@ router.get('/new', async (req, res) => {
 
     // Normalize dates for consistency
     const normalizedEvents = events.map(event => {
-      const normalized = { ...event };
+      const normalized = processor.serializeEvent(event);
       // Ensure rawData is preserved for frontend filtering
       if (event.rawData) {
         normalized.rawData = event.rawData;
       }
       
-      // Convert dates to strings if they're Date objects
-      if (event.startDate) {
-        if (event.startDate instanceof Date) {
-          const year = event.startDate.getFullYear();
-          const month = event.startDate.getMonth() + 1;
-          const day = event.startDate.getDate();
-          normalized.startDate = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-        }
-      }
-      
-      if (event.endDate) {
-        if (event.endDate instanceof Date) {
-          const year = event.endDate.getFullYear();
-          const month = event.endDate.getMonth() + 1;
-          const day = event.endDate.getDate();
-          normalized.endDate = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-        }
-      }
-
       // Format lastUpdated for display - prioritize lastupdated from rawData (original raw table)
       // Check rawData.lastupdated first, then fall back to event.lastupdated or event.lastUpdated
       let lastUpdatedValue = null;
@@ -926,4 +1099,157 @@ router.get('/new', async (req, res) => {
   }
 });
 
+// GET /changes - What changed between syncs (added, modified, removed programs)
+router.get('/changes', async (req, res) => {
+  try {
+    const { days = 7, type, limit = 100 } = req.query;
+
+    if (!changeTracker || !isDatabaseConnected()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Change history requires the database',
+        changes: []
+      });
+    }
+
+    const daysNum = parseInt(days, 10);
+    if (isNaN(daysNum) || daysNum < 1 || daysNum > 90) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid days parameter. Must be between 1 and 90',
+        changes: []
+      });
+    }
+
+    const validTypes = ['added', 'modified', 'removed', 'restored'];
+    const changeTypes = type ? String(type).split(',').map(t => t.trim()).filter(Boolean) : [];
+    const invalidTypes = changeTypes.filter(t => !validTypes.includes(t));
+    if (invalidTypes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid type parameter. Must be one or more of: ${validTypes.join(', ')}`,
+        changes: []
+      });
+    }
+
+    const since = new Date(Date.now() - daysNum * 24 * 60 * 60 * 1000);
+    const changes = await changeTracker.getRecentChanges({
+      since,
+      changeTypes,
+      limit: Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500)
+    });
+
+    res.set('Cache-Control', 'public, max-age=60, stale-while-revalidate=120');
+    res.json({
+      success: true,
+      changes,
+      total: changes.length,
+      days: daysNum,
+      since: since.toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Changes feed error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      changes: []
+    });
+  }
+});
+
+// GET /:eventId - One program with its branch's address and coordinates
+// Registered after every fixed path so /new, /changes etc. aren't read as event ids
+router.get('/:eventId', async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { fields } = req.query;
+
+    if (fields !== undefined && typeof fields !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'fields must be given once, as a comma-separated list'
+      });
+    }
+
+    if (!libraryAPI || !processor) {
+      return res.json({
+        success: false,
+        error: 'Services not properly configured'
+      });
+    }
+
+    const event = await findEvent(eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      });
+    }
+
+    const branch = event.branchCode ? await findBranch(event.branchCode) : null;
+
+    res.set('Cache-Control', 'public, max-age=300, stale-while-revalidate=300');
+    res.json({
+      success: true,
+      event: projectEvent(processor.serializeEvent(event), parseFields(fields)),
+      branch,
+      cancelled: event.status === 'cancelled',
+      url: `/programs/${encodeURIComponent(event.eventId)}`
+    });
+
+  } catch (error) {
+    console.error('❌ Event lookup error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /:eventId/history - Every recorded change to one program
+router.get('/:eventId/history', async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    if (!changeTracker || !isDatabaseConnected()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Change history requires the database',
+        history: []
+      });
+    }
+
+    const [history, current] = await Promise.all([
+      changeTracker.getEventHistory(eventId),
+      LibraryEvent.findOne({ eventId }, { rawData: 0 }).lean()
+    ]);
+
+    if (!current && history.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found',
+        history: []
+      });
+    }
+
+    res.json({
+      success: true,
+      eventId,
+      event: current,
+      removed: !!current?.removedAt,
+      history,
+      total: history.length
+    });
+
+  } catch (error) {
+    console.error('❌ Event history error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      history: []
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+
+const { findEvent, processor } = require('../services/eventCache');
+const { findBranch } = require('../services/locationCache');
+const { SITE_URL } = require('../services/siteUrl');
+
+const DESCRIPTION_PREVIEW_LENGTH = 200;
+
+// "2026-10-20" -> "Tuesday, October 20, 2026"
+function formatDay(dateKey) {
+  return new Date(`${dateKey}T12:00:00Z`).toLocaleDateString('en-CA', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+}
+
+function formatWhen(event) {
+  if (!event.startDate) return { date: 'Date TBD', time: null };
+  const date = event.endDate && event.endDate > event.startDate
+    ? `${formatDay(event.startDate)} – ${formatDay(event.endDate)}`
+    : formatDay(event.startDate);
+  let time = null;
+  if (event.allDay) {
+    time = 'All day';
+  } else if (!event.timeUnknown && event.startTime) {
+    time = event.endTime ? `${event.startTime} – ${event.endTime}` : event.startTime;
+  }
+  return { date, time };
+}
+
+// Short plain-text summary for meta descriptions and link previews
+function summarize(text) {
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  if (clean.length <= DESCRIPTION_PREVIEW_LENGTH) return clean;
+  return `${clean.slice(0, DESCRIPTION_PREVIEW_LENGTH - 1).replace(/\s+\S*$/, '')}…`;
+}
+
+// schema.org Event for search engines, see https://developers.google.com/search/docs/appearance/structured-data/event
+function buildJsonLd(event, branch, pageUrl) {
+  const place = {
+    '@type': 'Place',
+    name: (branch && branch.name) || event.library || 'Toronto Public Library',
+    ...(branch && branch.address && {
+      address: {
+        '@type': 'PostalAddress',
+        streetAddress: branch.address.split(',')[0],
+        addressLocality: 'Toronto',
+        addressRegion: 'ON',
+        postalCode: branch.postalCode || undefined,
+        addressCountry: 'CA'
+      }
+    }),
+    ...(branch && typeof branch.latitude === 'number' && typeof branch.longitude === 'number' && {
+      geo: { '@type': 'GeoCoordinates', latitude: branch.latitude, longitude: branch.longitude }
+    })
+  };
+
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'Event',
+    name: event.title,
+    description: summarize(event.description) || undefined,
+    // Date-only for all-day programs or when the time is unknown
+    startDate: event.startsAt && !event.allDay && !event.timeUnknown ? event.startsAt : event.startDate,
+    endDate: event.endsAt && !event.allDay && !event.timeUnknown ? event.endsAt : (event.endDate || undefined),
+    eventStatus: event.status === 'cancelled' ? 'https://schema.org/EventCancelled' : 'https://schema.org/EventScheduled',
+    eventAttendanceMode: 'https://schema.org/OfflineEventAttendanceMode',
+    location: place,
+    organizer: {
+      '@type': 'Organization',
+      name: 'Toronto Public Library',
+      url: 'https://www.torontopubliclibrary.ca'
+    },
+    isAccessibleForFree: true,
+    offers: {
+      '@type': 'Offer',
+      price: '0',
+      priceCurrency: 'CAD',
+      availability: 'https://schema.org/InStock',
+      url: event.website || pageUrl
+    },
+    ...(typeof event.minAge === 'number' && {
+      typicalAgeRange: event.maxAge === null || event.maxAge === undefined
+        ? `${event.minAge}-`
+        : `${event.minAge}-${event.maxAge}`
+    }),
+    url: pageUrl
+  };
+
+  // Inside <script>, so no "</script>" may appear in the output
+  return JSON.stringify(jsonLd, null, 2).replace(/</g, '\\u003c');
+}
+
+// GET /:eventId - Shareable page for one program, with link previews and structured data
+router.get('/:eventId', async (req, res) => {
+  try {
+    const found = await findEvent(req.params.eventId);
+    if (!found) {
+      res.status(404).render('index'); // Same fallback as unknown pages
+      return;
+    }
+
+    const { rawData, ...event } = processor.serializeEvent(found);
+    const branch = event.branchCode ? await findBranch(event.branchCode) : null;
+    const pageUrl = `${SITE_URL}/programs/${encodeURIComponent(event.eventId)}`;
+
+    res.set('Cache-Control', 'public, max-age=300, stale-while-revalidate=300');
+    res.render('program', {
+      event,
+      branch,
+      pageUrl,
+      when: formatWhen(event),
+      summary: summarize(event.description),
+      categories: processor.getCategories(event),
+      ageGroups: processor.getAgeGroups(event),
+      cancelled: event.status === 'cancelled',
+      calendarUrl: `/?event=${encodeURIComponent(event.eventId)}${event.startDate ? `&date=${event.startDate}` : ''}`,
+      jsonLd: buildJsonLd(event, branch, pageUrl)
+    });
+
+  } catch (error) {
+    console.error('❌ Program page error:', error);
+    res.status(500).send('Error loading program');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+
+const { fetchAndCacheEvents, processor } = require('../services/eventCache');
+const { todayKey } = require('../services/torontoTime');
+
+// GET /:seriesId - Every session of a recurring program, split into past and upcoming
+router.get('/:seriesId', async (req, res) => {
+  try {
+    const { seriesId } = req.params;
+    const cache = await fetchAndCacheEvents();
+
+    // Cancelled sessions are kept so people can see which dates were dropped
+    const sessions = [...cache.processed, ...(cache.cancelled || [])]
+      .filter(event => event.seriesId === seriesId)
+      .map(({ rawData, ...event }) => processor.serializeEvent(event))
+      .sort((a, b) =>
+        a.startDate.localeCompare(b.startDate) ||
+        (Date.parse(a.startsAt) || 0) - (Date.parse(b.startsAt) || 0)
+      );
+
+    if (sessions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Series not found'
+      });
+    }
+
+    const today = todayKey();
+    const past = sessions.filter(event => event.startDate < today);
+    const upcoming = sessions.filter(event => event.startDate >= today);
+    const current = sessions.find(event => event.status !== 'cancelled') || sessions[0];
+
+    res.set('Cache-Control', 'public, max-age=300, stale-while-revalidate=300');
+    res.json({
+      success: true,
+      series: {
+        seriesId,
+        title: current.title,
+        library: current.library,
+        branchCode: current.branchCode,
+        recurrence: current.recurrence,
+        totalSessions: sessions.length,
+        pastSessions: past.length,
+        upcomingSessions: upcoming.length
+      },
+      past,
+      upcoming
+    });
+
+  } catch (error) {
+    console.error('❌ Series error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,42 @@
+// Refresh the bundled branch snapshot served when the locations dataset is unreachable
+// Usage: node scripts/update-branch-snapshot.js
+require('dotenv').config();
+
+const fs = require('fs');
+const TorontoLibraryAPI = require('../services/torontoLibraryAPI');
+const { createDataSource } = require('../services/sources');
+const { BRANCH_SNAPSHOT_FILE } = require('../services/locationCache');
+
+async function main() {
+  // The snapshot must come from the real dataset, not the sample files or a partial recording
+  const libraryAPI = new TorontoLibraryAPI(createDataSource('ckan'));
+  const { locations, package: packageInfo } = await libraryAPI.getAllLibraryLocations();
+
+  if (locations.length === 0) {
+    throw new Error('Locations dataset is empty, keeping the existing snapshot');
+  }
+
+  // Without codes the branch resolver can't match event library names in snapshot mode
+  const missingCodes = locations.filter(location => !location.BranchCode);
+  if (missingCodes.length > 0) {
+    throw new Error(`${missingCodes.length} of ${locations.length} branches have no BranchCode, keeping the existing snapshot`);
+  }
+
+  const snapshot = {
+    package: {
+      title: packageInfo.title,
+      name: packageInfo.name,
+      metadata_modified: packageInfo.metadata_modified
+    },
+    generatedAt: new Date().toISOString(),
+    records: locations
+  };
+
+  fs.writeFileSync(BRANCH_SNAPSHOT_FILE, JSON.stringify(snapshot, null, 2) + '\n');
+  console.log(`💾 Wrote ${locations.length} branches to ${BRANCH_SNAPSHOT_FILE}`);
+}
+
+main().catch(error => {
+  console.error('💥 Could not update branch snapshot:', error.message);
+  process.exit(1);
+});
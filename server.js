@@ -8,6 +8,7 @@ const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const hpp = require('hpp');
+const { SITE_URL } = require('./services/siteUrl');
 
 console.log('🚀 Starting server...');
 
@@ -16,7 +17,7 @@ const PORT = process.env.PORT || 3000;
 const BODY_LIMIT = process.env.JSON_BODY_LIMIT || '1mb';
 const isProduction = process.env.NODE_ENV === 'production';
 const defaultOrigins = [
-  'https://tplevents.ca',
+  SITE_URL,
   'http://localhost:3000',
   'http://127.0.0.1:3000'
 ];
@@ -41,6 +42,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  exposedHeaders: ['X-Total-Count', 'X-Next-Cursor', 'Link'], // Pagination headers on /api/events
   optionsSuccessStatus: 204
 };
 
@@ -95,7 +97,18 @@ const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/library-e
 console.log('🔌 Connecting to MongoDB...');
 
 mongoose.connect(mongoUri)
-  .then(() => console.log('✅ Connected to MongoDB'))
+  .then(() => {
+    console.log('✅ Connected to MongoDB');
+    // Replaces index definitions an older release created (e.g. the unweighted text index)
+    require('./services/indexMigrations').migrateIndexes()
+      .catch(error => console.error('❌ Index migration failed:', error.message));
+    // Background sync only makes sense with somewhere to write to
+    try {
+      require('./services/eventSync').startScheduler();
+    } catch (error) {
+      console.error('❌ Error starting background sync:', error.message);
+    }
+  })
   .catch(err => {
     console.error('❌ MongoDB connection error:', err.message);
     console.log('💡 Continuing without database (some features will be limited)');
@@ -104,6 +117,9 @@ mongoose.connect(mongoUri)
 // Routes
 app.use('/api/events', eventRoutes);
 app.use('/api/contact', require('./routes/contact'));
+app.use('/api/branches', require('./routes/branches'));
+app.use('/api/series', require('./routes/series'));
+app.use('/programs', require('./routes/programs'));
 
 // Add this after your existing routes
 const { SitemapStream, streamToPromise } = require('sitemap');
@@ -113,11 +129,32 @@ app.get('/sitemap.xml', async (req, res) => {
   try {
     res.header('Content-Type', 'application/xml');
 
-    const sitemap = new SitemapStream({ hostname: 'https://tplevents.ca' });
+    const sitemap = new SitemapStream({ hostname: SITE_URL });
 
     // Add your main pages
     sitemap.write({ url: '/', changefreq: 'daily', priority: 1.0 });
     sitemap.write({ url: '/health', changefreq: 'weekly', priority: 0.5 });
+
+    // One page per upcoming program
+    try {
+      const { fetchAndCacheEvents } = require('./services/eventCache');
+      const { todayKey } = require('./services/torontoTime');
+      const today = todayKey();
+      const cache = await fetchAndCacheEvents();
+      cache.processed
+        .filter(event => event.startDate && (event.endDate || event.startDate) >= today)
+        .forEach(event => {
+          const lastUpdated = new Date(event.lastUpdated);
+          sitemap.write({
+            url: `/programs/${encodeURIComponent(event.eventId)}`,
+            changefreq: 'daily',
+            priority: 0.7,
+            ...(!isNaN(lastUpdated.getTime()) && { lastmod: lastUpdated.toISOString() })
+          });
+        });
+    } catch (error) {
+      console.error('❌ Sitemap could not list programs:', error.message);
+    }
     
     sitemap.end();
 
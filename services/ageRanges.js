@@ -0,0 +1,100 @@
+// Numeric ages (in years) for the feed's free-text age-group labels
+// maxAge null means no upper limit
+
+const AGE_GROUP_RANGES = {
+  'babies': { minAge: 0, maxAge: 1 },
+  'baby': { minAge: 0, maxAge: 1 },
+  'infants': { minAge: 0, maxAge: 1 },
+  'toddlers': { minAge: 1, maxAge: 3 },
+  'toddler': { minAge: 1, maxAge: 3 },
+  'early years': { minAge: 0, maxAge: 5 },
+  'preschool': { minAge: 3, maxAge: 5 },
+  'preschoolers': { minAge: 3, maxAge: 5 },
+  // The feed files storytimes and other preschool programs under "Kids" too, so it starts at 0
+  'kids': { minAge: 0, maxAge: 12 },
+  'children': { minAge: 0, maxAge: 12 },
+  'school age': { minAge: 6, maxAge: 12 },
+  'tweens': { minAge: 9, maxAge: 12 },
+  'teen': { minAge: 13, maxAge: 18 },
+  'teens': { minAge: 13, maxAge: 18 },
+  'youth': { minAge: 13, maxAge: 24 },
+  'adult': { minAge: 18, maxAge: null },
+  'adults': { minAge: 18, maxAge: null },
+  'older adult': { minAge: 60, maxAge: null },
+  'older adults': { minAge: 60, maxAge: null },
+  'seniors': { minAge: 60, maxAge: null },
+  'family': { minAge: 0, maxAge: null },
+  'families': { minAge: 0, maxAge: null },
+  'all ages': { minAge: 0, maxAge: null }
+};
+
+const warnedLabels = new Set();
+
+function canonicalize(label) {
+  return String(label || '').toLowerCase().replace(/[^a-z0-9+]+/g, ' ').trim();
+}
+
+// Ages spelled out in the label win over the table: "Ages 6-12", "3 to 5 years", "18+", "55 and over"
+function parseExplicitRange(key) {
+  const inMonths = /\bmonths?\b/.test(key) && !/\byears?\b/.test(key);
+  const toYears = value => inMonths ? Math.floor(value / 12) : value;
+
+  const range = key.match(/(\d{1,3})\s*(?:to|\s)\s*(\d{1,3})/);
+  if (range) {
+    return { minAge: toYears(parseInt(range[1], 10)), maxAge: toYears(parseInt(range[2], 10)) };
+  }
+  const openEnded = key.match(/(\d{1,3})\s*(?:\+|and (?:up|over|older))/);
+  if (openEnded) {
+    return { minAge: toYears(parseInt(openEnded[1], 10)), maxAge: null };
+  }
+  return null;
+}
+
+// { label, minAge, maxAge } for one age-group label; unknown labels get open bounds so programs are not hidden
+function parseAgeGroup(label) {
+  const key = canonicalize(label);
+  const range = parseExplicitRange(key) || AGE_GROUP_RANGES[key];
+  if (!range) {
+    if (key && !warnedLabels.has(key)) {
+      warnedLabels.add(key);
+      console.warn(`⚠️  Unknown age group "${label}", treating it as all ages`);
+    }
+    return { label, minAge: null, maxAge: null };
+  }
+  return { label, ...range };
+}
+
+function rangeIncludes(range, age) {
+  return (range.minAge === null || age >= range.minAge) &&
+    (range.maxAge === null || age <= range.maxAge);
+}
+
+// Programs without any age group are open to everyone
+function isSuitableForAge(ageRanges, age) {
+  if (!ageRanges || ageRanges.length === 0) return true;
+  return ageRanges.some(range => rangeIncludes(range, age));
+}
+
+// "any": suitable for at least one of the ages (e.g. one of several children), "all": for every one of them
+function isSuitableForAges(ageRanges, ages, mode = 'any') {
+  if (!ages || ages.length === 0) return true;
+  return mode === 'all'
+    ? ages.every(age => isSuitableForAge(ageRanges, age))
+    : ages.some(age => isSuitableForAge(ageRanges, age));
+}
+
+// "4, 9" or ["4", "9"] -> [4, 9], ignoring anything that is not a sensible age
+function parseAges(value) {
+  const values = Array.isArray(value) ? value : String(value || '').split(',');
+  return values
+    .map(item => parseInt(String(item).trim(), 10))
+    .filter(age => !isNaN(age) && age >= 0 && age <= 120);
+}
+
+module.exports = {
+  AGE_GROUP_RANGES,
+  parseAgeGroup,
+  isSuitableForAge,
+  isSuitableForAges,
+  parseAges
+};
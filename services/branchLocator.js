@@ -0,0 +1,63 @@
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LATITUDE = 111.32;
+
+// In-memory spatial index over branch coordinates, used for nearby searches when Mongo is not available
+// Branches are bucketed into a grid of cellSize-degree cells so a search only measures nearby cells
+class BranchLocator {
+  constructor(branches = [], cellSize = 0.05) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+    this.size = 0;
+
+    branches
+      .filter(branch => branch.branchCode && typeof branch.latitude === 'number' && typeof branch.longitude === 'number')
+      .forEach(branch => {
+        const key = this.cellKey(this.cellIndex(branch.latitude), this.cellIndex(branch.longitude));
+        if (!this.cells.has(key)) {
+          this.cells.set(key, []);
+        }
+        this.cells.get(key).push(branch);
+        this.size++;
+      });
+  }
+
+  // Great-circle distance (haversine)
+  static distanceKm(lat1, lng1, lat2, lng2) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  cellIndex(degrees) {
+    return Math.floor(degrees / this.cellSize);
+  }
+
+  cellKey(latIndex, lngIndex) {
+    return `${latIndex}:${lngIndex}`;
+  }
+
+  // Branches within radiusKm of a point, nearest first, each with distanceKm
+  near(lat, lng, radiusKm) {
+    const latDelta = radiusKm / KM_PER_DEGREE_LATITUDE;
+    const lngDelta = radiusKm / (KM_PER_DEGREE_LATITUDE * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+    const results = [];
+
+    for (let latIndex = this.cellIndex(lat - latDelta); latIndex <= this.cellIndex(lat + latDelta); latIndex++) {
+      for (let lngIndex = this.cellIndex(lng - lngDelta); lngIndex <= this.cellIndex(lng + lngDelta); lngIndex++) {
+        (this.cells.get(this.cellKey(latIndex, lngIndex)) || []).forEach(branch => {
+          const distanceKm = BranchLocator.distanceKm(lat, lng, branch.latitude, branch.longitude);
+          if (distanceKm <= radiusKm) {
+            results.push({ ...branch, distanceKm });
+          }
+        });
+      }
+    }
+
+    return results.sort((a, b) => a.distanceKm - b.distanceKm);
+  }
+}
+
+module.exports = BranchLocator;
@@ -0,0 +1,64 @@
+// Words that do not help tell branches apart ("High Park Library" == "High Park")
+const GENERIC_WORDS = new Set(['the', 'library', 'libraries', 'branch', 'public', 'tpl']);
+
+// Maps free-text event library names to branch codes using exact matches on a canonical form only,
+// so a name either resolves to one branch or is reported as unmatched - never guessed
+class BranchResolver {
+  constructor({ branches = [], aliases = {} } = {}) {
+    this.aliases = new Map();
+    this.ambiguous = new Set();
+
+    branches.forEach(branch => {
+      if (!branch.branchCode || !branch.name) return;
+      this.addAlias(branch.name, branch.branchCode, 'dataset');
+    });
+
+    // Manual aliases win over anything derived from the dataset
+    Object.entries(aliases).forEach(([name, branchCode]) => {
+      this.addAlias(name, branchCode, 'manual');
+    });
+  }
+
+  static canonicalize(name) {
+    if (!name || typeof name !== 'string') return '';
+    return name
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .split(' ')
+      .filter(word => word && !GENERIC_WORDS.has(word))
+      .join(' ');
+  }
+
+  addAlias(name, branchCode, origin) {
+    const key = BranchResolver.canonicalize(name);
+    if (!key) return;
+
+    const existing = this.aliases.get(key);
+    if (origin === 'dataset' && existing && existing.branchCode !== branchCode) {
+      // Two branches share a name - refuse to pick one, a manual alias has to settle it
+      console.warn(`⚠️  Branch name "${name}" is ambiguous (${existing.branchCode}, ${branchCode})`);
+      this.ambiguous.add(key);
+      this.aliases.delete(key);
+      return;
+    }
+    if (origin === 'dataset' && this.ambiguous.has(key)) return;
+
+    if (origin === 'manual') this.ambiguous.delete(key);
+    this.aliases.set(key, { branchCode, origin });
+  }
+
+  // Branch code for a library name, or null when it cannot be resolved
+  resolve(libraryName) {
+    const match = this.aliases.get(BranchResolver.canonicalize(libraryName));
+    return match ? match.branchCode : null;
+  }
+
+  get size() {
+    return this.aliases.size;
+  }
+}
+
+module.exports = BranchResolver;
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+
+const TAXONOMY_FILE = path.join(__dirname, '..', 'data', 'category-taxonomy.json');
+
+// Maps the feed's eventtype1-3 strings onto the two-level category hierarchy in data/category-taxonomy.json
+class CategoryTaxonomy {
+  constructor(taxonomy = JSON.parse(fs.readFileSync(TAXONOMY_FILE, 'utf8'))) {
+    this.groups = taxonomy.groups;
+    this.byEventType = new Map();
+    this.byId = new Map();
+    this.byLabel = new Map();
+    this.warnedTypes = new Set();
+
+    this.groups.forEach(group => {
+      group.children.forEach(child => {
+        const category = { id: child.id, label: child.label, groupId: group.id, groupLabel: group.label };
+        this.byId.set(child.id, category);
+        this.byLabel.set(child.label, category);
+        (child.eventTypes || []).forEach(eventType => {
+          this.byEventType.set(CategoryTaxonomy.canonicalize(eventType), category);
+        });
+      });
+    });
+
+    this.fallback = this.byId.get(taxonomy.fallback);
+    if (!this.fallback) {
+      throw new Error(`Category taxonomy fallback "${taxonomy.fallback}" is not a category`);
+    }
+  }
+
+  // "Arts and Crafts", "arts & crafts" and "Arts & Crafts " all look the same
+  static canonicalize(eventType) {
+    return String(eventType || '')
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  // Categories for a program's raw event types, primary first and without duplicates
+  classify(eventTypes) {
+    const categories = [];
+    eventTypes.forEach(eventType => {
+      const key = CategoryTaxonomy.canonicalize(eventType);
+      if (!key) return;
+
+      let category = this.byEventType.get(key);
+      if (!category) {
+        if (!this.warnedTypes.has(key)) {
+          this.warnedTypes.add(key);
+          console.warn(`⚠️  Event type "${eventType}" is not in the category taxonomy, filed under "${this.fallback.label}"`);
+        }
+        category = this.fallback;
+      }
+      if (!categories.includes(category)) {
+        categories.push(category);
+      }
+    });
+    return categories.length > 0 ? categories : [this.fallback];
+  }
+
+  // Category for a label already assigned by classify (events keep the label, not the id)
+  findByLabel(label) {
+    return this.byLabel.get(label) || this.fallback;
+  }
+
+  // Taxonomy as a tree with program counts, leaving out categories no program uses
+  // A program can sit in several categories of one group, so group counts can be passed separately
+  getTree(countsByCategoryId = new Map(), countsByGroupId = null) {
+    return this.groups
+      .map(group => {
+        const children = group.children
+          .filter(child => countsByCategoryId.get(child.id))
+          .map(child => ({ id: child.id, label: child.label, count: countsByCategoryId.get(child.id) }));
+        return {
+          id: group.id,
+          label: group.label,
+          count: countsByGroupId
+            ? countsByGroupId.get(group.id) || 0
+            : children.reduce((sum, child) => sum + child.count, 0),
+          children
+        };
+      })
+      .filter(group => group.children.length > 0);
+  }
+}
+
+module.exports = CategoryTaxonomy;
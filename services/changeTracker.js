@@ -0,0 +1,169 @@
+const LibraryEvent = require('../models/LibraryEvent');
+const EventVersion = require('../models/EventVersion');
+const { todayKey, hasNotEnded } = require('./torontoTime');
+
+// Fields families care about when a program changes
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'startDate',
+  'endDate',
+  'startTime',
+  'endTime',
+  'library',
+  'libraryAddress',
+  'category',
+  'ageGroup',
+  'website'
+];
+
+const DATE_FIELDS = ['startDate', 'endDate'];
+
+// Tracked fields holding our own mapping of a feed value (category is a taxonomy label, not the raw
+// eventtype). After a normalization change these are re-baselined rather than reported as modified
+const DERIVED_FIELDS = ['category'];
+const SOURCE_FIELDS = TRACKED_FIELDS.filter(field => !DERIVED_FIELDS.includes(field));
+
+class ChangeTracker {
+
+  // Compare two values of a tracked field, ignoring Date vs string representation differences
+  normalizeValue(field, value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (DATE_FIELDS.includes(field)) {
+      const date = value instanceof Date ? value : new Date(value);
+      return isNaN(date.getTime()) ? String(value) : date.toISOString().split('T')[0];
+    }
+    return value;
+  }
+
+  // Field-level differences between a stored event and its new version
+  diffEvent(previous, current, fields = TRACKED_FIELDS) {
+    return fields.reduce((changes, field) => {
+      const from = this.normalizeValue(field, previous[field]);
+      const to = this.normalizeValue(field, current[field]);
+      if (from !== to) {
+        changes.push({ field, from, to });
+      }
+      return changes;
+    }, []);
+  }
+
+  // Diff the incoming dataset against what is stored and record a version entry per change
+  // Must run before saveEvents so the stored documents still hold the previous values
+  async recordChanges(currentEvents, { syncRunId = null, detectedAt = new Date() } = {}) {
+    const projection = TRACKED_FIELDS.reduce((fields, field) => ({ ...fields, [field]: 1 }), {
+      eventId: 1,
+      removedAt: 1,
+      normalizationVersion: 1
+    });
+    const summary = { added: 0, modified: 0, removed: 0, restored: 0, rebaselined: 0, baseline: false };
+
+    // An empty feed is far more likely an upstream hiccup than every program being dropped
+    if (currentEvents.length === 0) {
+      console.warn('⚠️  Incoming dataset is empty, skipping change tracking');
+      return summary;
+    }
+
+    const storedEvents = await LibraryEvent.find({}, projection).lean();
+
+    // Nothing to compare against on the very first sync
+    if (storedEvents.length === 0) {
+      summary.baseline = true;
+      console.log('📸 No stored events yet, recording this sync as the baseline');
+      return summary;
+    }
+
+    const storedById = new Map(storedEvents.map(event => [event.eventId, event]));
+    const currentIds = new Set(currentEvents.map(event => event.eventId));
+    const versions = [];
+
+    const buildVersion = (event, changeType, changes = []) => ({
+      eventId: event.eventId,
+      changeType,
+      detectedAt,
+      syncRun: syncRunId,
+      changes,
+      title: event.title,
+      library: event.library,
+      startDate: event.startDate || null,
+      startTime: event.startTime
+    });
+
+    currentEvents.forEach(event => {
+      const stored = storedById.get(event.eventId);
+
+      if (!stored) {
+        versions.push(buildVersion(event, 'added'));
+        return;
+      }
+
+      // Stored under an older normalization: derived fields would all differ without the feed changing
+      const renormalized = (stored.normalizationVersion || null) !== (event.normalizationVersion || null);
+      const fields = renormalized ? SOURCE_FIELDS : TRACKED_FIELDS;
+      if (renormalized) summary.rebaselined++;
+
+      if (stored.removedAt) {
+        versions.push(buildVersion(event, 'restored', this.diffEvent(stored, event, fields)));
+        return;
+      }
+
+      const changes = this.diffEvent(stored, event, fields);
+      if (changes.length > 0) {
+        versions.push(buildVersion(event, 'modified', changes));
+      }
+    });
+
+    // Programs that already ended just age out of the feed; only upcoming ones that vanish were removed
+    const today = todayKey();
+    const removedIds = [];
+    storedEvents.forEach(stored => {
+      if (!stored.removedAt && !currentIds.has(stored.eventId) && hasNotEnded(stored, today)) {
+        versions.push(buildVersion(stored, 'removed'));
+        removedIds.push(stored.eventId);
+      }
+    });
+
+    versions.forEach(version => summary[version.changeType]++);
+
+    if (versions.length > 0) {
+      await EventVersion.insertMany(versions, { ordered: false });
+    }
+
+    // Keep removedAt/status in step with the feed so the next diff starts from the right place
+    if (removedIds.length > 0) {
+      await LibraryEvent.updateMany(
+        { eventId: { $in: removedIds } },
+        { $set: { removedAt: detectedAt, status: 'cancelled' } }
+      );
+    }
+    const restoredIds = versions.filter(version => version.changeType === 'restored').map(version => version.eventId);
+    if (restoredIds.length > 0) {
+      await LibraryEvent.updateMany(
+        { eventId: { $in: restoredIds } },
+        { $set: { removedAt: null, status: 'active' } }
+      );
+    }
+
+    console.log(`📝 Recorded changes: ${summary.added} added, ${summary.modified} modified, ${summary.removed} removed, ${summary.restored} restored${summary.rebaselined ? ` (${summary.rebaselined} re-baselined after a normalization change)` : ''}`);
+    return summary;
+  }
+
+  // Every recorded version of one event, newest first
+  async getEventHistory(eventId) {
+    return EventVersion.find({ eventId }).sort({ detectedAt: -1 }).lean();
+  }
+
+  // Recent changes across all events, newest first
+  async getRecentChanges({ since, changeTypes = [], limit = 100 } = {}) {
+    const query = {};
+    if (since) {
+      query.detectedAt = { $gte: since };
+    }
+    if (changeTypes.length > 0) {
+      query.changeType = { $in: changeTypes };
+    }
+    return EventVersion.find(query).sort({ detectedAt: -1 }).limit(limit).lean();
+  }
+}
+
+module.exports = ChangeTracker;
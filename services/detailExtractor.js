@@ -0,0 +1,91 @@
+// Rule-based extraction of registration, capacity, room and contact details from program text
+// The feed only has free-text description and location fields, so each rule is a plain regex checked in order
+
+// First match wins - explicit "no registration" has to beat the generic "registration required" wording
+const REGISTRATION_RULES = [
+  { value: 'Drop-in', pattern: /\bno (?:pre-?)?registration\b|\bregistration (?:is )?not (?:required|needed)\b|\b(?:no need|don['’]?t need|do not need|(?:it'?s |is )?not (?:necessary|required)) to (?:pre-?)?register\b/i },
+  { value: 'Required', pattern: /\b(?:pre-?)?registration (?:is )?(?:required|mandatory|necessary)\b|\bmust (?:pre-?)?register\b|\b(?:please )?register (?:in advance|online|early|at|by)\b|\bto register\b|\bregistration opens\b/i },
+  { value: 'Recommended', pattern: /\bregistration (?:is )?(?:strongly )?(?:recommended|encouraged|suggested)\b/i },
+  { value: 'Drop-in', pattern: /\bdrop[\s-]?in\b/i }
+];
+
+const CAPACITY_PATTERNS = [
+  /\blimited to (\d{1,4})\b/i,
+  /\bcapacity(?: of|:)?\s*(\d{1,4})\b/i,
+  /\bmax(?:imum|\.)?(?: of)?\s*(\d{1,4})\b/i,
+  /\b(\d{1,4})\s+(?:spaces|spots|seats|places|participants|people)\b/i
+];
+
+const ROOM_WORDS = 'Room|Auditorium|Theatre|Theater|Hall|Gallery|Lab|Studio|Lounge|Boardroom|Makerspace|Commons';
+const ROOM_IN_TEXT = new RegExp(`\\b(?:in|at) the ((?:[A-Z][\\w'&-]*\\s){0,3}(?:${ROOM_WORDS}))\\b`);
+const ROOM_LOCATION = new RegExp(`\\b(?:${ROOM_WORDS}|Area|Space|Floor|Level|Branch|Library)\\b`, 'i');
+
+// North American numbers with separators, so dates and counts are not mistaken for phone numbers
+const PHONE_PATTERN = /(?:\+?1[\s.-])?\(?\b([2-9]\d{2})\)?[\s.-](\d{3})[\s.-](\d{4})\b(?:\s*(?:ext\.?|extension|x)\s*(\d{1,5}))?/i;
+const EMAIL_PATTERN = /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}\b/i;
+
+class DetailExtractor {
+
+  // Descriptions sometimes carry HTML from the library's CMS
+  toPlainText(text) {
+    if (!text || typeof text !== 'string') return '';
+    return text
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/&nbsp;/gi, ' ')
+      .replace(/&amp;/gi, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  extractRegistration(text) {
+    const rule = REGISTRATION_RULES.find(({ pattern }) => pattern.test(text));
+    return rule ? rule.value : null;
+  }
+
+  extractCapacity(text) {
+    for (const pattern of CAPACITY_PATTERNS) {
+      const match = text.match(pattern);
+      if (match) {
+        const capacity = parseInt(match[1], 10);
+        if (capacity > 0) return capacity;
+      }
+    }
+    return null;
+  }
+
+  // The location field names the room ("Program Room", "Auditorium"); fall back to "in the ... Room" in the description
+  extractRoom(text, locationText) {
+    const location = this.toPlainText(locationText);
+    if (location && ROOM_LOCATION.test(location) && !/^\d+\s/.test(location)) {
+      return location;
+    }
+    const match = text.match(ROOM_IN_TEXT);
+    return match ? match[1].trim() : null;
+  }
+
+  extractPhone(text) {
+    const match = text.match(PHONE_PATTERN);
+    if (!match) return null;
+    const phone = `${match[1]}-${match[2]}-${match[3]}`;
+    return match[4] ? `${phone} ext. ${match[4]}` : phone;
+  }
+
+  extractEmail(text) {
+    const match = text.match(EMAIL_PATTERN);
+    return match ? match[0].toLowerCase() : null;
+  }
+
+  // { registration, capacity, room, phone, email } - null for anything not mentioned
+  extract(description, locationText) {
+    const text = this.toPlainText(description);
+    return {
+      registration: this.extractRegistration(text),
+      capacity: this.extractCapacity(text),
+      room: this.extractRoom(text, locationText),
+      phone: this.extractPhone(text),
+      email: this.extractEmail(text)
+    };
+  }
+}
+
+module.exports = DetailExtractor;
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const TorontoLibraryAPI = require('./torontoLibraryAPI');
+const EventProcessor = require('./eventProcessor');
+const SuggestIndex = require('./suggestIndex');
+const LibraryEvent = require('../models/LibraryEvent');
+const { hasNotEnded } = require('./torontoTime');
+
+const libraryAPI = new TorontoLibraryAPI();
+const processor = new EventProcessor();
+
+const CACHE_TTL = parseInt(process.env.EVENT_CACHE_TTL || '300000', 10); // default 5 minutes
+const STALE_RETRY_MS = parseInt(process.env.EVENT_CACHE_STALE_RETRY_MS || '60000', 10); // retry upstream after 1 minute
+const TOMBSTONE_GRACE_DAYS = parseFloat(process.env.TOMBSTONE_GRACE_DAYS || '14');
+let eventsCache = null;
+let cachePromise = null;
+
+// eventId -> cancelled copy of a program that dropped out of the feed
+const tombstones = new Map();
+
+// Upcoming programs that were in the previous dataset but not this one become cancelled tombstones;
+// past ones have simply aged out of the feed. Anything that reappears is active again, and tombstones expire after the grace period
+async function updateTombstones(previousEvents, currentEvents) {
+  const now = Date.now();
+  const graceCutoff = now - TOMBSTONE_GRACE_DAYS * 24 * 60 * 60 * 1000;
+  const currentIds = new Set(currentEvents.map(event => event.eventId));
+
+  // An empty feed is far more likely an upstream hiccup than every program being dropped
+  const tombstoneCandidates = currentEvents.length > 0 ? previousEvents.filter(event => hasNotEnded(event)) : [];
+
+  tombstoneCandidates.forEach(event => {
+    if (!currentIds.has(event.eventId) && !tombstones.has(event.eventId)) {
+      tombstones.set(event.eventId, {
+        ...event,
+        status: 'cancelled',
+        removedAt: new Date(now)
+      });
+    }
+  });
+
+  // Pick up cancellations recorded by earlier syncs (survives restarts)
+  if (mongoose.connection.readyState === 1) {
+    try {
+      const stored = await LibraryEvent.find(
+        { status: 'cancelled', removedAt: { $gte: new Date(graceCutoff) } },
+        { _id: 0, __v: 0, contentHash: 0, syncedAt: 0 }
+      ).lean();
+      stored.forEach(event => {
+        if (!tombstones.has(event.eventId)) {
+          tombstones.set(event.eventId, event);
+        }
+      });
+    } catch (error) {
+      console.error('❌ Could not load cancelled events:', error.message);
+    }
+  }
+
+  for (const [eventId, tombstone] of tombstones) {
+    if (currentIds.has(eventId) || new Date(tombstone.removedAt).getTime() < graceCutoff) {
+      tombstones.delete(eventId);
+    }
+  }
+
+  return [...tombstones.values()];
+}
+
+async function fetchAndCacheEvents(forceRefresh = false) {
+  const cacheIsFresh = !forceRefresh && eventsCache && (
+    Date.now() - eventsCache.timestamp < CACHE_TTL ||
+    (eventsCache.stale && Date.now() < eventsCache.retryAfter)
+  );
+  if (cacheIsFresh) {
+    return eventsCache;
+  }
+
+  if (cachePromise && !forceRefresh) {
+    return cachePromise;
+  }
+
+  cachePromise = (async () => {
+    console.log(forceRefresh ? '🔄 Forcing event cache refresh...' : '🗂️ Building event cache...');
+    const { events, package: packageInfo } = await libraryAPI.getAllLibraryEvents();
+    // Required here rather than at the top because locationCache uses this module's libraryAPI
+    const branchResolver = await require('./locationCache').getBranchResolver();
+    const processedEvents = processor.assignSeries(events.map(event => processor.normalizeEvent(event, branchResolver)));
+    const cancelledEvents = await updateTombstones(eventsCache ? eventsCache.processed : [], processedEvents);
+    eventsCache = {
+      raw: events,
+      processed: processedEvents,
+      cancelled: cancelledEvents,
+      suggestions: new SuggestIndex(processedEvents), // Prefix index for /api/events/suggest
+      timestamp: Date.now(),
+      packageInfo
+    };
+    cachePromise = null;
+    console.log(`✅ Cached ${processedEvents.length} events (${cancelledEvents.length} cancelled) at ${new Date(eventsCache.timestamp).toISOString()}`);
+    return eventsCache;
+  })().catch(error => {
+    cachePromise = null;
+    // Keep serving the last good dataset rather than failing every page load while upstream is down
+    if (eventsCache && !forceRefresh) {
+      console.warn(`⚠️  Event refresh failed (${error.message}), serving stale cache from ${new Date(eventsCache.timestamp).toISOString()}`);
+      eventsCache.stale = true;
+      eventsCache.retryAfter = Date.now() + STALE_RETRY_MS;
+      return eventsCache;
+    }
+    throw error;
+  });
+
+  return cachePromise;
+}
+
+// One program by id: the cache first (including cancelled tombstones), then the database for
+// programs that are past or were removed longer ago than the tombstone grace period
+async function findEvent(eventId) {
+  const id = String(eventId);
+  try {
+    const cache = await fetchAndCacheEvents();
+    const cached = cache.processed.find(event => String(event.eventId) === id) ||
+      (cache.cancelled || []).find(event => String(event.eventId) === id);
+    if (cached) return cached;
+  } catch (error) {
+    if (mongoose.connection.readyState !== 1) throw error;
+    console.warn(`⚠️  Event cache unavailable (${error.message}), looking up ${id} in the database`);
+  }
+
+  if (mongoose.connection.readyState !== 1) return null;
+  return LibraryEvent.findOne({ eventId: id }, { _id: 0, __v: 0, contentHash: 0, syncedAt: 0, rawData: 0 }).lean();
+}
+
+function bustEventCache() {
+  eventsCache = null;
+  cachePromise = null;
+}
+
+module.exports = {
+  fetchAndCacheEvents,
+  findEvent,
+  bustEventCache,
+  libraryAPI,
+  processor
+};
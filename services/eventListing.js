@@ -0,0 +1,111 @@
+// Sorting, keyset pagination and field projection for event lists served by the API
+
+const SORT_KEYS = {
+  date: event => `${event.startDate || '9999-99-99'}|${event.startsAt || ''}`,
+  title: event => (event.title || '').toLowerCase(),
+  branch: event => (event.library || '').toLowerCase(),
+  lastUpdated: event => {
+    const time = new Date(event.lastUpdated).getTime();
+    return isNaN(time) ? '' : new Date(time).toISOString();
+  }
+};
+
+const MAX_LIMIT = 1000;
+
+// "date", "-lastUpdated" -> { field, direction }, or null for an unknown field
+// (or a repeated ?sort=, which Express hands over as an array)
+function parseSort(value = 'date') {
+  if (typeof value !== 'string') return null;
+  const descending = value.startsWith('-');
+  const field = descending ? value.slice(1) : value;
+  if (!SORT_KEYS[field]) return null;
+  return { field, direction: descending ? -1 : 1 };
+}
+
+// Sort key first, eventId as the tie-breaker so the order (and every cursor) is stable
+function compareKeys(a, b, direction) {
+  const byKey = a.key < b.key ? -1 : a.key > b.key ? 1 : 0;
+  const byId = a.eventId < b.eventId ? -1 : a.eventId > b.eventId ? 1 : 0;
+  return (byKey || byId) * direction;
+}
+
+function sortEvents(events, sort) {
+  const getKey = SORT_KEYS[sort.field];
+  return events
+    .map(event => ({ event, key: getKey(event), eventId: String(event.eventId) }))
+    .sort((a, b) => compareKeys(a, b, sort.direction))
+    .map(item => item.event);
+}
+
+// The cursor is the sort order plus the sort key and eventId of the last event on the page,
+// so pages don't shift when programs are added or removed between requests
+function encodeCursor(event, sort) {
+  const payload = JSON.stringify([sort.field, sort.direction, SORT_KEYS[sort.field](event), String(event.eventId)]);
+  return Buffer.from(payload).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  if (typeof cursor !== 'string') return null;
+  try {
+    const [field, direction, key, eventId] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (field !== sort.field || direction !== sort.direction) return null;
+    if (typeof key !== 'string' || typeof eventId !== 'string') return null;
+    return { key, eventId };
+  } catch (error) {
+    return null;
+  }
+}
+
+// { events, nextCursor } for one page of an already sorted list; without a limit everything is returned
+function paginate(sortedEvents, sort, { limit, cursor } = {}) {
+  let start = 0;
+  if (cursor) {
+    const after = decodeCursor(cursor, sort);
+    if (!after) {
+      throw new Error('Invalid cursor for this sort order');
+    }
+    const getKey = SORT_KEYS[sort.field];
+    start = sortedEvents.findIndex(event =>
+      compareKeys({ key: getKey(event), eventId: String(event.eventId) }, after, sort.direction) > 0
+    );
+    if (start === -1) start = sortedEvents.length;
+  }
+
+  if (!limit) {
+    return { events: sortedEvents.slice(start), nextCursor: null };
+  }
+
+  const events = sortedEvents.slice(start, start + limit);
+  const hasMore = start + limit < sortedEvents.length;
+  return {
+    events,
+    nextCursor: hasMore && events.length > 0 ? encodeCursor(events[events.length - 1], sort) : null
+  };
+}
+
+// "title,startDate" -> field list (eventId always included); null means every field except rawData
+// Callers reject non-string values (a repeated ?fields=) before getting here
+function parseFields(value) {
+  if (!value) return null;
+  const fields = value.split(',').map(field => field.trim()).filter(Boolean);
+  return fields.length > 0 ? [...new Set(['eventId', ...fields])] : null;
+}
+
+// rawData is several megabytes across the dataset, so it is only sent when asked for by name
+function projectEvent(event, fields) {
+  if (!fields) {
+    const { rawData, ...rest } = event;
+    return rest;
+  }
+  return Object.fromEntries(fields.filter(field => field in event).map(field => [field, event[field]]));
+}
+
+module.exports = {
+  MAX_LIMIT,
+  SORT_FIELDS: Object.keys(SORT_KEYS),
+  parseSort,
+  sortEvents,
+  paginate,
+  parseFields,
+  projectEvent
+};
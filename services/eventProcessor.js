@@ -1,9 +1,25 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const moment = require('moment');
+const LibraryEvent = require('../models/LibraryEvent');
+const DetailExtractor = require('./detailExtractor');
+const CategoryTaxonomy = require('./categoryTaxonomy');
+const { parseAgeGroup } = require('./ageRanges');
+const { dateKey, daysBetween, addDays, weekdayOf, parseTimeOfDay, zonedInstant, toTorontoISO } = require('./torontoTime');
+
+const SAVE_BATCH_SIZE = 500;
+// Bump whenever normalizeEvent maps feed values differently (2: categories mapped onto the taxonomy),
+// so ChangeTracker re-baselines derived fields instead of reporting every program as modified
+const NORMALIZATION_VERSION = 2;
+const detailExtractor = new DetailExtractor();
+const categoryTaxonomy = new CategoryTaxonomy();
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
 class EventProcessor {
   
   // Convert raw Toronto data to our schema
-  normalizeEvent(rawEvent) {
+  // branchResolver (see branchResolver.js) maps the free-text library name to a branch code
+  normalizeEvent(rawEvent, branchResolver = null) {
     // Generate a unique ID
     const eventId = rawEvent._id || 
                    rawEvent.id || 
@@ -16,7 +32,9 @@ class EventProcessor {
       rawEvent.eventtype2, 
       rawEvent.eventtype3
     ].filter(Boolean);
-    const primaryCategory = categories[0] || 'General';
+    // Canonical categories from data/category-taxonomy.json, primary first
+    const canonicalCategories = categoryTaxonomy.classify(categories);
+    const primaryCategory = canonicalCategories[0];
 
     // Extract age groups from agegroup1, agegroup2, agegroup3
     const ageGroups = [
@@ -25,42 +43,267 @@ class EventProcessor {
       rawEvent.agegroup3
     ].filter(Boolean);
     const primaryAgeGroup = ageGroups[0] || null;
+    const ageGroupLabels = [...new Set(ageGroups.map(label => this.cleanText(label)).filter(Boolean))];
+    // Every age group as numeric years, so "my child is 4" can be matched against any of them
+    const ageRanges = ageGroupLabels.map(label => parseAgeGroup(label));
+
+    const library = this.cleanText(rawEvent.library);
+    const startDate = this.toDateKey(this.parseDate(rawEvent.startdate));
+    const endDate = this.toDateKey(this.parseDate(rawEvent.enddate));
+    const startTime = this.cleanText(rawEvent.starttime);
+    const endTime = this.cleanText(rawEvent.endtime);
+    const details = detailExtractor.extract(rawEvent.description, rawEvent.location);
 
     return {
       eventId: String(eventId),
       title: this.cleanText(rawEvent.title || 'Untitled Event'),
       description: this.cleanText(rawEvent.description || ''),
       
-      // Parse dates using Toronto's field names
-      startDate: this.parseDate(rawEvent.startdate),
-      endDate: this.parseDate(rawEvent.enddate),
-      startTime: this.cleanText(rawEvent.starttime),
-      endTime: this.cleanText(rawEvent.endtime),
+      // Calendar dates (YYYY-MM-DD) and the feed's free-text times
+      startDate,
+      endDate,
+      startTime,
+      endTime,
+
+      // Structured instants in Toronto time: startsAt, endsAt, allDay, timeUnknown, durationMinutes
+      ...this.buildSchedule(startDate, endDate, startTime, endTime),
       
       // Location details
-      library: this.cleanText(rawEvent.library),
+      library,
+      branchCode: branchResolver && library ? branchResolver.resolve(library) : null,
       libraryAddress: this.cleanText(rawEvent.location),
-      room: null,
+      room: details.room,
       
       // Event categorization using correct field names
-      category: this.cleanText(primaryCategory),
+      category: primaryCategory.label,
+      categoryGroup: primaryCategory.groupLabel, // Parent in the taxonomy, e.g. "Arts & Culture" for "Music"
+      categories: canonicalCategories.map(item => item.label), // All of them, primary first
+      categoryGroups: canonicalCategories.map(item => item.groupLabel), // categoryGroups[i] is the parent of categories[i]
       ageGroup: this.cleanText(primaryAgeGroup),
+      ageGroups: ageGroupLabels,
+      ageRanges,
+      ...this.getAgeBounds(ageRanges),
       program: this.cleanText(categories.join(', ')),
       
-      // Additional fields
-      capacity: null,
-      registration: null,
-      phone: null,
-      email: null,
+      // Details picked out of the description text, see detailExtractor.js
+      capacity: details.capacity,
+      registration: details.registration,
+      seriesId: null, // Filled in by assignSeries once the whole feed is normalized
+      recurrence: null,
+      phone: details.phone,
+      email: details.email,
       website: this.cleanText(rawEvent.pagelink),
       
       // Metadata - use lastupdated from raw event if available, otherwise use current date
       lastUpdated: rawEvent.lastupdated || rawEvent.lastUpdated || rawEvent.metadata_modified || new Date(),
       dataSource: 'toronto-library-events',
+      status: 'active', // Anything still in the feed is running; see ChangeTracker for cancellations
+      normalizationVersion: NORMALIZATION_VERSION,
       rawData: rawEvent
     };
   }
 
+  // Youngest and oldest age across all of a program's age groups; null means unbounded
+  getAgeBounds(ageRanges) {
+    const minAges = ageRanges.map(range => range.minAge);
+    const maxAges = ageRanges.map(range => range.maxAge);
+    return {
+      minAge: minAges.length === 0 || minAges.includes(null) ? null : Math.min(...minAges),
+      maxAge: maxAges.length === 0 || maxAges.includes(null) ? null : Math.max(...maxAges)
+    };
+  }
+
+  // Turn the feed's dates and free-text times into ISO-8601 instants with Toronto's offset (DST aware)
+  // All-day and unknown-time events span whole days; endsAt is null when the end time is missing
+  buildSchedule(startDate, endDate, startTime, endTime) {
+    if (!startDate) {
+      return { startsAt: null, endsAt: null, allDay: false, timeUnknown: true, durationMinutes: null };
+    }
+
+    const lastDay = endDate && endDate >= startDate ? endDate : startDate;
+    const allDay = /all[\s-]*day/i.test(`${startTime || ''} ${endTime || ''}`);
+    const startMinutes = allDay ? null : parseTimeOfDay(startTime);
+
+    if (startMinutes === null) {
+      return {
+        startsAt: toTorontoISO(zonedInstant(startDate, 0)),
+        endsAt: toTorontoISO(zonedInstant(addDays(lastDay, 1), 0)),
+        allDay,
+        timeUnknown: !allDay,
+        durationMinutes: null
+      };
+    }
+
+    const endMinutes = parseTimeOfDay(endTime);
+    let endsAt = null;
+    let durationMinutes = null;
+    if (endMinutes !== null) {
+      // A session ending at or before its start time runs past midnight
+      const overnight = endMinutes <= startMinutes;
+      endsAt = toTorontoISO(zonedInstant(overnight ? addDays(lastDay, 1) : lastDay, endMinutes));
+      durationMinutes = overnight ? endMinutes + 24 * 60 - startMinutes : endMinutes - startMinutes;
+    }
+
+    return {
+      startsAt: toTorontoISO(zonedInstant(startDate, startMinutes)),
+      endsAt,
+      allDay: false,
+      timeUnknown: false,
+      durationMinutes
+    };
+  }
+
+  // Shape an event for API responses so cached and stored events look the same:
+  // dates as YYYY-MM-DD, instants as ISO-8601 with Toronto's offset
+  serializeEvent(event) {
+    return {
+      ...event,
+      startDate: dateKey(event.startDate),
+      endDate: dateKey(event.endDate),
+      startsAt: toTorontoISO(event.startsAt),
+      endsAt: toTorontoISO(event.endsAt)
+    };
+  }
+
+  // Category taxonomy as a tree, counting each program under every category it has (once per group)
+  getCategoryTree(events) {
+    const counts = new Map();
+    const groupCounts = new Map();
+    events.forEach(event => {
+      const categories = this.getCategories(event).map(label => categoryTaxonomy.findByLabel(label));
+      new Set(categories.map(category => category.id)).forEach(id => counts.set(id, (counts.get(id) || 0) + 1));
+      new Set(categories.map(category => category.groupId)).forEach(id => groupCounts.set(id, (groupCounts.get(id) || 0) + 1));
+    });
+    return categoryTaxonomy.getTree(counts, groupCounts);
+  }
+
+  // Events stored before categories[] existed only have the primary category
+  getCategories(event) {
+    if (event.categories && event.categories.length > 0) return event.categories;
+    return event.category ? [event.category] : [];
+  }
+
+  getAgeGroups(event) {
+    if (event.ageGroups && event.ageGroups.length > 0) return event.ageGroups;
+    return event.ageGroup ? [event.ageGroup] : [];
+  }
+
+  // Title used to match sessions of the same program - ignores case, punctuation and "Session 3" style numbering
+  normalizeTitle(title) {
+    return (title || '')
+      .toLowerCase()
+      .replace(/\((session|week|part|day)\s*\d+[^)]*\)/g, ' ')
+      .replace(/\b(session|week|part|day)\s*\d+\b/g, ' ')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  // Group sessions of the same program into series and tag them with seriesId + recurrence
+  // Sessions must share normalized title, branch and start time, and repeat daily or on the same weekday
+  assignSeries(events) {
+    const groups = new Map();
+    events.forEach(event => {
+      event.seriesId = null;
+      event.recurrence = null;
+
+      const startKey = dateKey(event.startDate);
+      const title = this.normalizeTitle(event.title);
+      if (!startKey || !title) return;
+
+      const groupKey = [title, event.branchCode || (event.library || '').toLowerCase(), event.startTime || ''].join('|');
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, []);
+      }
+      groups.get(groupKey).push({ event, startKey });
+    });
+
+    let seriesCount = 0;
+    groups.forEach((sessions, groupKey) => {
+      if (sessions.length < 2) return;
+
+      // Consecutive days form one daily series, anything else is split by weekday
+      if (this.getDayGaps(sessions).every(gap => gap === 1)) {
+        this.tagSeries(`${groupKey}|daily`, sessions, 'daily', 1);
+        seriesCount++;
+        return;
+      }
+
+      const byWeekday = new Map();
+      sessions.forEach(session => {
+        const weekday = weekdayOf(session.startKey);
+        if (!byWeekday.has(weekday)) {
+          byWeekday.set(weekday, []);
+        }
+        byWeekday.get(weekday).push(session);
+      });
+
+      byWeekday.forEach((weekdaySessions, weekday) => {
+        const gaps = this.getDayGaps(weekdaySessions);
+        if (gaps.length === 0) return; // Only one date on this weekday
+
+        // A skipped week (e.g. a holiday) still counts, the interval is the common spacing
+        const interval = gaps.reduce((a, b) => this.gcd(a, b)) / 7;
+        this.tagSeries(`${groupKey}|weekly-${weekday}`, weekdaySessions, 'weekly', interval);
+        seriesCount++;
+      });
+    });
+
+    if (seriesCount > 0) {
+      console.log(`🔁 Detected ${seriesCount} recurring series`);
+    }
+    return events;
+  }
+
+  // Day gaps between the distinct dates of a group of sessions, in date order
+  getDayGaps(sessions) {
+    const dates = [...new Set(sessions.map(session => session.startKey))].sort();
+    return dates.slice(1).map((date, index) => daysBetween(dates[index], date));
+  }
+
+  gcd(a, b) {
+    return b === 0 ? a : this.gcd(b, a % b);
+  }
+
+  tagSeries(seriesKey, sessions, frequency, interval) {
+    const dates = sessions.map(session => session.startKey).sort();
+    const firstDate = dates[0];
+    const until = dates[dates.length - 1];
+    const byDay = frequency === 'weekly' ? WEEKDAYS[weekdayOf(firstDate)] : null;
+    const startTime = sessions[0].event.startTime || null;
+
+    const recurrence = {
+      frequency,
+      interval,
+      byDay,
+      startTime,
+      firstDate,
+      until,
+      sessions: sessions.length,
+      description: this.describeRecurrence(frequency, interval, byDay, until)
+    };
+    // Stable across syncs so links to a series keep working as sessions come and go
+    const seriesId = `series_${crypto.createHash('sha1').update(seriesKey).digest('hex').slice(0, 12)}`;
+
+    sessions.forEach(({ event }) => {
+      event.seriesId = seriesId;
+      event.recurrence = recurrence;
+    });
+  }
+
+  describeRecurrence(frequency, interval, byDay, until) {
+    const untilText = new Date(`${until}T00:00:00Z`).toLocaleDateString('en-US', {
+      timeZone: 'UTC',
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    });
+    if (frequency === 'daily') {
+      return `Daily until ${untilText}`;
+    }
+    const every = interval === 1 ? 'Weekly' : `Every ${interval} weeks`;
+    return `${every} on ${byDay}s until ${untilText}`;
+  }
+
   // Clean and normalize text fields
   cleanText(text) {
     if (!text || typeof text !== 'string') return null;
@@ -131,6 +374,15 @@ class EventProcessor {
     return null;
   }
 
+  // parseDate gives a YYYY-MM-DD string or a Date holding the feed's local wall-clock date
+  toDateKey(parsed) {
+    if (!parsed) return null;
+    if (parsed instanceof Date) {
+      return `${parsed.getFullYear()}-${String(parsed.getMonth() + 1).padStart(2, '0')}-${String(parsed.getDate()).padStart(2, '0')}`;
+    }
+    return parsed;
+  }
+
   // Parse numbers safely
   parseNumber(value) {
     if (!value) return null;
@@ -138,17 +390,100 @@ class EventProcessor {
     return isNaN(num) ? null : num;
   }
 
-  // Save events to database (simplified version)
+  // Hash the fields we store so unchanged events can be skipped on re-sync
+  // lastUpdated is excluded because it falls back to "now" when the source has none
+  computeContentHash(event) {
+    const { lastUpdated, contentHash, syncedAt, ...content } = event;
+    return crypto.createHash('sha1').update(JSON.stringify(content)).digest('hex');
+  }
+
+  // Save events to database - upserts by eventId and reports what actually changed
   async saveEvents(events) {
     console.log(`💾 Processing ${events.length} library events...`);
-    
-    return {
+
+    const stats = {
       total: events.length,
-      saved: 0,
+      inserted: 0,
       updated: 0,
-      errors: 0,
-      note: 'Database saving not implemented yet'
+      unchanged: 0,
+      errors: 0
     };
+
+    if (mongoose.connection.readyState !== 1) {
+      console.warn('⚠️  Database not connected, skipping save');
+      return { ...stats, note: 'Database not connected' };
+    }
+
+    const syncedAt = new Date();
+
+    for (let i = 0; i < events.length; i += SAVE_BATCH_SIZE) {
+      const batch = events.slice(i, i + SAVE_BATCH_SIZE);
+
+      // Look up the stored hash for every event in this batch
+      const existing = await LibraryEvent.find(
+        { eventId: { $in: batch.map(event => event.eventId) } },
+        { eventId: 1, contentHash: 1 }
+      ).lean();
+      const existingHashes = new Map(existing.map(doc => [doc.eventId, doc.contentHash]));
+
+      const operations = [];
+      const operationTypes = [];
+
+      batch.forEach(event => {
+        const contentHash = this.computeContentHash(event);
+
+        if (existingHashes.has(event.eventId) && existingHashes.get(event.eventId) === contentHash) {
+          stats.unchanged++;
+          return;
+        }
+
+        operations.push({
+          updateOne: {
+            filter: { eventId: event.eventId },
+            update: { $set: { ...event, contentHash, syncedAt } },
+            upsert: true
+          }
+        });
+        operationTypes.push(existingHashes.has(event.eventId) ? 'updated' : 'inserted');
+      });
+
+      if (operations.length === 0) continue;
+
+      try {
+        await LibraryEvent.bulkWrite(operations, { ordered: false, throwOnValidationError: true });
+        operationTypes.forEach(type => stats[type]++);
+      } catch (error) {
+        // With ordered: false the valid operations in the batch are still written
+        const failedIndexes = this.getFailedOperationIndexes(error);
+        if (failedIndexes.size === 0) {
+          console.error('❌ Batch save failed:', error.message);
+          stats.errors += operations.length;
+          continue;
+        }
+        operationTypes.forEach((type, index) => {
+          if (failedIndexes.has(index)) {
+            stats.errors++;
+          } else {
+            stats[type]++;
+          }
+        });
+        console.error(`❌ ${failedIndexes.size} events failed to save:`, error.message);
+      }
+    }
+
+    console.log(`✅ Saved events: ${stats.inserted} inserted, ${stats.updated} updated, ${stats.unchanged} unchanged, ${stats.errors} errors`);
+    return stats;
+  }
+
+  // Work out which operations of an unordered bulkWrite failed
+  // Mongoose validation errors carry per-operation results, driver errors carry writeErrors
+  getFailedOperationIndexes(error) {
+    if (Array.isArray(error.results)) {
+      return new Set(error.results
+        .map((result, index) => (result ? index : null))
+        .filter(index => index !== null));
+    }
+    return new Set((error.writeErrors || []).map(writeError => writeError.index));
   }
 }
 
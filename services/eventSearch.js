@@ -0,0 +1,289 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const LibraryEvent = require('../models/LibraryEvent');
+
+const SYNONYMS_FILE = path.join(__dirname, '..', 'data', 'search-synonyms.json');
+
+// Same weights as the text index on LibraryEvent, so both paths rank alike
+const FIELD_WEIGHTS = {
+  title: 10,
+  categories: 4,
+  ageGroups: 2,
+  library: 2,
+  description: 1
+};
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'at', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+const MAX_PHRASE_WORDS = 4;
+const SNIPPET_LENGTH = 160;
+
+// Ranked search over programs: Mongo's text index when connected, the in-memory event cache otherwise
+class EventSearch {
+  constructor(config = JSON.parse(fs.readFileSync(SYNONYMS_FILE, 'utf8'))) {
+    // Stemmed phrase ("english conversation") -> every phrase in its synonym group, as stem arrays
+    this.synonyms = new Map();
+    this.synonymWords = new Map(); // Same groups as plain words, for Mongo's $search
+    config.synonyms.forEach(group => {
+      const phrases = group.map(phrase => EventSearch.tokenize(phrase).map(EventSearch.stem)).filter(words => words.length > 0);
+      phrases.forEach(words => this.synonyms.set(words.join(' '), phrases));
+      this.synonymWords.set(phrases, group.flatMap(phrase => EventSearch.tokenize(phrase)));
+    });
+    this.fieldTokens = new WeakMap();
+    this.vocabulary = null;
+    this.knownStems = null;
+    this.vocabularySource = null;
+  }
+
+  // Lowercase words without accents or punctuation, stop words dropped
+  static tokenize(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => word && !STOP_WORDS.has(word));
+  }
+
+  // Light suffix stripping - enough for "stories"/"story", "crafts"/"craft", "coding"/"code"
+  static stem(word) {
+    if (word.length <= 3 || /\d/.test(word)) return word;
+    if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+    if (word.endsWith('ing') && word.length > 5) return word.slice(0, -3).replace(/([^aeiou])\1$/, '$1').replace(/e$/, '');
+    if (word.endsWith('ed') && word.length > 4) return word.slice(0, -2).replace(/([^aeiou])\1$/, '$1').replace(/e$/, '');
+    if (/(ss|us|is)$/.test(word)) return word;
+    if (/(ches|shes|xes|sses)$/.test(word)) return word.slice(0, -2);
+    if (word.endsWith('s')) return word.slice(0, -1).replace(/e$/, '');
+    return word.replace(/e$/, '');
+  }
+
+  // Query as a list of terms, each a list of alternative phrases (stem arrays) including synonyms
+  parseQuery(query) {
+    const stems = EventSearch.tokenize(query).map(EventSearch.stem);
+    const terms = [];
+    for (let i = 0; i < stems.length;) {
+      let matched = null;
+      for (let length = Math.min(MAX_PHRASE_WORDS, stems.length - i); length > 0 && !matched; length--) {
+        const phrase = stems.slice(i, i + length).join(' ');
+        if (this.synonyms.has(phrase)) {
+          matched = { length, alternatives: this.synonyms.get(phrase) };
+        }
+      }
+      if (matched) {
+        terms.push(matched.alternatives);
+        i += matched.length;
+      } else {
+        terms.push([[stems[i]]]);
+        i++;
+      }
+    }
+    return terms;
+  }
+
+  // Stemmed words per weighted field, computed once per cached event object
+  getFieldTokens(event) {
+    let tokens = this.fieldTokens.get(event);
+    if (!tokens) {
+      tokens = {
+        title: EventSearch.tokenize(event.title).map(EventSearch.stem),
+        categories: EventSearch.tokenize((event.categories || [event.category]).join(' ')).map(EventSearch.stem),
+        ageGroups: EventSearch.tokenize((event.ageGroups || [event.ageGroup]).join(' ')).map(EventSearch.stem),
+        library: EventSearch.tokenize(event.library).map(EventSearch.stem),
+        description: EventSearch.tokenize(event.description).map(EventSearch.stem)
+      };
+      this.fieldTokens.set(event, tokens);
+    }
+    return tokens;
+  }
+
+  countPhrase(words, phrase) {
+    let count = 0;
+    for (let i = 0; i <= words.length - phrase.length; i++) {
+      if (phrase.every((stem, offset) => words[i + offset] === stem)) count++;
+    }
+    return count;
+  }
+
+  // Weighted term frequency (capped per field), scaled by the share of query terms found
+  scoreEvent(event, terms) {
+    const tokens = this.getFieldTokens(event);
+    let score = 0;
+    let matchedTerms = 0;
+
+    terms.forEach(alternatives => {
+      let best = 0;
+      alternatives.forEach(phrase => {
+        const phraseScore = Object.entries(FIELD_WEIGHTS).reduce((sum, [field, weight]) =>
+          sum + weight * Math.min(this.countPhrase(tokens[field], phrase), 3), 0);
+        best = Math.max(best, phraseScore);
+      });
+      if (best > 0) {
+        matchedTerms++;
+        score += best;
+      }
+    });
+
+    return matchedTerms === 0 ? 0 : score * (matchedTerms / terms.length);
+  }
+
+  searchInMemory(events, terms, limit) {
+    return events
+      .map(event => ({ event, score: this.scoreEvent(event, terms) }))
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  // $search ORs words, so synonyms are listed unquoted; Mongo does its own stemming
+  async searchMongo(query, terms, limit) {
+    const words = new Set(EventSearch.tokenize(query));
+    terms.forEach(alternatives => (this.synonymWords.get(alternatives) || []).forEach(word => words.add(word)));
+
+    const events = await LibraryEvent.find(
+      { $text: { $search: [...words].join(' ') }, removedAt: null },
+      { score: { $meta: 'textScore' }, rawData: 0 }
+    )
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit)
+      .lean();
+
+    return events.map(({ score, _id, __v, ...event }) => ({ event, score }));
+  }
+
+  // Known words (with counts) from titles, categories and branch names, rebuilt when the cache changes
+  getVocabulary(events) {
+    if (this.vocabularySource !== events) {
+      this.vocabulary = new Map();
+      events.forEach(event => {
+        EventSearch.tokenize([event.title, ...(event.categories || [event.category]), event.library].join(' '))
+          .filter(word => word.length > 2 && !/\d/.test(word))
+          .forEach(word => this.vocabulary.set(word, (this.vocabulary.get(word) || 0) + 1));
+      });
+      this.knownStems = new Set([...this.vocabulary.keys()].map(EventSearch.stem));
+      this.vocabularySource = events;
+    }
+    return this.vocabulary;
+  }
+
+  // Edits between two words, counting a swap of neighbouring letters ("hihg") as one
+  editDistance(a, b) {
+    const rows = [Array.from({ length: b.length + 1 }, (_, index) => index)];
+    for (let i = 1; i <= a.length; i++) {
+      rows[i] = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
+    }
+    return rows[a.length][b.length];
+  }
+
+  // Query with unknown words swapped for the closest known word, or null when nothing needs fixing
+  suggest(query, events) {
+    const vocabulary = this.getVocabulary(events);
+    const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    let changed = false;
+
+    const corrected = words.map(word => {
+      const [token] = EventSearch.tokenize(word);
+      if (!token || token.length < 3 || /\d/.test(token) || STOP_WORDS.has(token)) return word;
+      if (vocabulary.has(token) || this.knownStems.has(EventSearch.stem(token)) || this.synonyms.has(EventSearch.stem(token))) return word;
+
+      const maxDistance = token.length <= 4 ? 1 : 2;
+      let best = null;
+      vocabulary.forEach((count, candidate) => {
+        if (Math.abs(candidate.length - token.length) > maxDistance) return;
+        const distance = this.editDistance(token, candidate);
+        if (distance <= maxDistance && (!best || distance < best.distance || (distance === best.distance && count > best.count))) {
+          best = { word: candidate, distance, count };
+        }
+      });
+      if (!best) return word;
+      changed = true;
+      return best.word;
+    });
+
+    return changed ? corrected.join(' ') : null;
+  }
+
+  escapeHtml(text) {
+    return text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+  }
+
+  // HTML-escaped text with matching words wrapped in <mark>; window > 0 cuts a snippet around the first match
+  highlight(text, terms, window = 0) {
+    if (!text) return '';
+    const stems = new Set(terms.flatMap(alternatives => alternatives.flat()));
+    const matches = [];
+    const wordPattern = /[\p{L}\p{N}]+/gu;
+    let match;
+    while ((match = wordPattern.exec(text)) !== null) {
+      const [token] = EventSearch.tokenize(match[0]);
+      if (token && stems.has(EventSearch.stem(token))) {
+        matches.push({ start: match.index, end: match.index + match[0].length });
+      }
+    }
+
+    let start = 0;
+    let end = text.length;
+    if (window > 0 && text.length > window) {
+      const first = matches.length > 0 ? matches[0].start : 0;
+      start = Math.max(0, first - Math.floor(window / 3));
+      start = start > 0 ? text.indexOf(' ', start) + 1 || start : 0;
+      end = Math.min(text.length, start + window);
+      const lastSpace = text.lastIndexOf(' ', end);
+      if (end < text.length && lastSpace > start) end = lastSpace;
+    }
+
+    let html = '';
+    let position = start;
+    matches.filter(item => item.start >= start && item.end <= end).forEach(item => {
+      html += this.escapeHtml(text.slice(position, item.start));
+      html += `<mark>${this.escapeHtml(text.slice(item.start, item.end))}</mark>`;
+      position = item.end;
+    });
+    html += this.escapeHtml(text.slice(position, end));
+
+    return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+  }
+
+  // { results: [{ event, score, highlights }], didYouMean, source }
+  async search(query, { events, limit = 20 }) {
+    const terms = this.parseQuery(query);
+    if (terms.length === 0) {
+      return { results: [], didYouMean: null, source: 'none' };
+    }
+
+    let results = null;
+    let source = 'memory';
+    if (mongoose.connection.readyState === 1) {
+      try {
+        results = await this.searchMongo(query, terms, limit);
+        source = 'mongo';
+      } catch (error) {
+        console.warn(`⚠️  Mongo text search failed (${error.message}), searching the in-memory cache`);
+      }
+    }
+    if (!results) {
+      results = this.searchInMemory(events, terms, limit);
+    }
+
+    return {
+      results: results.map(({ event, score }) => ({
+        event,
+        score: Math.round(score * 100) / 100,
+        highlights: {
+          title: this.highlight(event.title, terms),
+          snippet: this.highlight(event.description, terms, SNIPPET_LENGTH)
+        }
+      })),
+      didYouMean: this.suggest(query, events),
+      source
+    };
+  }
+}
+
+module.exports = EventSearch;
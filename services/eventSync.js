@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const SyncRun = require('../models/SyncRun');
+const ChangeTracker = require('./changeTracker');
+const LocationProcessor = require('./locationProcessor');
+const { fetchAndCacheEvents, processor } = require('./eventCache');
+const { fetchAndCacheLocations } = require('./locationCache');
+
+const changeTracker = new ChangeTracker();
+const locationProcessor = new LocationProcessor();
+
+const SYNC_INTERVAL_MINUTES = parseFloat(process.env.SYNC_INTERVAL_MINUTES || '60'); // 0 disables the scheduler
+const SYNC_ON_STARTUP = process.env.SYNC_ON_STARTUP !== 'false';
+
+let syncTimer = null;
+let currentSync = null;
+let lastRunAt = null;
+let nextRunAt = null;
+
+function isDatabaseConnected() {
+  return mongoose.connection.readyState === 1;
+}
+
+// Pull the events package, refresh the cache and write the results to Mongo
+// Concurrent callers share the run that is already in progress
+async function runSync(trigger = 'manual') {
+  if (currentSync) {
+    console.log('⏳ Sync already running, waiting for it to finish...');
+    return currentSync;
+  }
+
+  currentSync = (async () => {
+    const startedAt = new Date();
+    console.log(`🔄 Starting ${trigger} sync at ${startedAt.toISOString()}`);
+
+    const databaseConnected = isDatabaseConnected();
+    let run = null;
+    let previousRun = null;
+
+    if (databaseConnected) {
+      previousRun = await SyncRun.findOne({ status: 'success' }).sort({ startedAt: -1 }).lean();
+      run = await SyncRun.create({ startedAt, trigger, status: 'running' });
+    } else {
+      console.warn('⚠️  Database not connected, sync run will not be recorded');
+    }
+
+    try {
+      // Locations first so events resolve against the latest branches
+      const locations = await fetchAndCacheLocations(true);
+      const cache = await fetchAndCacheEvents(true);
+      // Diff before saving so the stored documents still hold the previous values
+      const changes = run
+        ? await changeTracker.recordChanges(cache.processed, { syncRunId: run._id, detectedAt: startedAt })
+        : null;
+      const stats = await processor.saveEvents(cache.processed);
+      // Never overwrite stored branches with the bundled snapshot or stale data
+      const branchStats = locations.source === 'upstream'
+        ? await locationProcessor.saveBranches(locations.records)
+        : null;
+      const packageModified = cache.packageInfo?.metadata_modified;
+      const finishedAt = new Date();
+
+      const result = {
+        runId: run ? String(run._id) : null,
+        trigger,
+        status: 'success',
+        startedAt,
+        finishedAt,
+        durationMs: finishedAt - startedAt,
+        stats,
+        changes,
+        branchStats,
+        packageTitle: cache.packageInfo?.title,
+        packageModified,
+        packageChanged: previousRun ? previousRun.packageModified !== packageModified : null,
+        cache
+      };
+
+      if (run) {
+        await SyncRun.updateOne({ _id: run._id }, {
+          $set: {
+            status: 'success',
+            finishedAt,
+            durationMs: result.durationMs,
+            fetched: stats.total,
+            inserted: stats.inserted,
+            updated: stats.updated,
+            unchanged: stats.unchanged,
+            errorCount: stats.errors,
+            changes,
+            branchesSaved: branchStats ? branchStats.saved : 0,
+            packageTitle: result.packageTitle,
+            packageModified,
+            packageChanged: result.packageChanged
+          }
+        });
+      }
+
+      console.log(`✅ Sync finished in ${result.durationMs}ms (package modified ${packageModified || 'unknown'})`);
+      return result;
+    } catch (error) {
+      console.error('❌ Sync failed:', error.message);
+      if (run) {
+        const finishedAt = new Date();
+        await SyncRun.updateOne({ _id: run._id }, {
+          $set: {
+            status: 'failed',
+            finishedAt,
+            durationMs: finishedAt - startedAt,
+            error: error.message
+          }
+        }).catch(updateError => console.error('❌ Could not record failed sync:', updateError.message));
+      }
+      throw error;
+    }
+  })();
+
+  try {
+    return await currentSync;
+  } finally {
+    currentSync = null;
+    lastRunAt = new Date();
+  }
+}
+
+function scheduleNextSync(delayMs) {
+  nextRunAt = new Date(Date.now() + delayMs);
+  syncTimer = setTimeout(async () => {
+    try {
+      await runSync('scheduled');
+    } catch (error) {
+      // Already logged and recorded by runSync
+    }
+    scheduleNextSync(SYNC_INTERVAL_MINUTES * 60 * 1000);
+  }, delayMs);
+  // Don't keep the process alive just for the scheduler
+  syncTimer.unref();
+}
+
+// Start the background sync loop - a new run is only scheduled once the previous one finishes
+function startScheduler() {
+  if (syncTimer) return;
+
+  if (!SYNC_INTERVAL_MINUTES || SYNC_INTERVAL_MINUTES <= 0) {
+    console.log('⏸️  Background sync disabled (SYNC_INTERVAL_MINUTES=0)');
+    return;
+  }
+
+  console.log(`⏰ Background sync every ${SYNC_INTERVAL_MINUTES} minutes`);
+
+  if (SYNC_ON_STARTUP) {
+    runSync('startup').catch(() => {});
+  }
+  scheduleNextSync(SYNC_INTERVAL_MINUTES * 60 * 1000);
+}
+
+function stopScheduler() {
+  clearTimeout(syncTimer);
+  syncTimer = null;
+  nextRunAt = null;
+}
+
+function getSchedulerStatus() {
+  return {
+    enabled: !!syncTimer,
+    intervalMinutes: SYNC_INTERVAL_MINUTES,
+    running: !!currentSync,
+    lastRunAt: lastRunAt ? lastRunAt.toISOString() : null,
+    nextRunAt: nextRunAt ? nextRunAt.toISOString() : null
+  };
+}
+
+// Most recent runs first, plus the last time the upstream package actually changed
+async function listSyncRuns(limit = 20) {
+  if (!isDatabaseConnected()) {
+    throw new Error('Database not connected');
+  }
+
+  const [runs, lastChange] = await Promise.all([
+    SyncRun.find().sort({ startedAt: -1 }).limit(limit).lean(),
+    SyncRun.findOne({ status: 'success', packageChanged: { $ne: false } }).sort({ startedAt: -1 }).lean()
+  ]);
+
+  return {
+    runs,
+    lastPackageChange: lastChange ? {
+      packageModified: lastChange.packageModified,
+      detectedAt: lastChange.startedAt
+    } : null
+  };
+}
+
+module.exports = {
+  runSync,
+  startScheduler,
+  stopScheduler,
+  getSchedulerStatus,
+  listSyncRuns
+};
@@ -0,0 +1,36 @@
+const LibraryEvent = require('../models/LibraryEvent');
+
+// Text indexes on the collection that the schema no longer defines. MongoDB allows one text index
+// per collection, so an old definition left in place stops the current one from building
+async function dropStaleTextIndexes(Model) {
+  const wanted = new Set(Model.schema.indexes()
+    .filter(([fields]) => Object.values(fields).includes('text'))
+    .map(([, options]) => options.name));
+
+  let existing;
+  try {
+    existing = await Model.collection.indexes();
+  } catch (error) {
+    if (error.codeName === 'NamespaceNotFound') return []; // Fresh database, nothing to drop
+    throw error;
+  }
+
+  const stale = existing.filter(index => index.key._fts === 'text' && !wanted.has(index.name));
+  for (const index of stale) {
+    await Model.collection.dropIndex(index.name);
+    console.log(`🧹 Dropped old text index ${index.name} on ${Model.collection.collectionName}`);
+  }
+  return stale.map(index => index.name);
+}
+
+// Run once after connecting: clear index definitions that block the schema's, then build what's missing
+async function migrateIndexes() {
+  await dropStaleTextIndexes(LibraryEvent);
+  await LibraryEvent.syncIndexes();
+  console.log('✅ Event indexes in sync');
+}
+
+module.exports = {
+  dropStaleTextIndexes,
+  migrateIndexes
+};
@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+const LocationProcessor = require('./locationProcessor');
+const mongoose = require('mongoose');
+const BranchResolver = require('./branchResolver');
+const BranchLocator = require('./branchLocator');
+const Branch = require('../models/Branch');
+const { libraryAPI } = require('./eventCache');
+
+const locationProcessor = new LocationProcessor();
+
+const LOCATION_CACHE_TTL = parseInt(process.env.LOCATION_CACHE_TTL || '86400000', 10); // default 24 hours
+const LOCATION_RETRY_MS = parseInt(process.env.LOCATION_CACHE_RETRY_MS || '300000', 10); // retry upstream after 5 minutes
+const BRANCH_SNAPSHOT_FILE = path.join(__dirname, '..', 'data', 'branch-snapshot.json');
+const BRANCH_ALIASES_FILE = path.join(__dirname, '..', 'data', 'branch-aliases.json');
+
+let locationsCache = null;
+let cachePromise = null;
+
+// Bundled copy of the branch dataset, regenerate with `node scripts/update-branch-snapshot.js`.
+// A snapshot without branch codes would leave every event unmatched, so it is refused rather than served
+function loadBranchSnapshot() {
+  const snapshot = JSON.parse(fs.readFileSync(BRANCH_SNAPSHOT_FILE, 'utf8'));
+  const missingCodes = snapshot.records.filter(record => !record.BranchCode).length;
+  if (snapshot.records.length === 0 || missingCodes > 0 || !snapshot.generatedAt) {
+    throw new Error(`Branch snapshot is incomplete (${missingCodes} of ${snapshot.records.length} branches without a code), regenerate it with scripts/update-branch-snapshot.js`);
+  }
+  return {
+    records: snapshot.records,
+    packageInfo: snapshot.package
+  };
+}
+
+// Hand-maintained "event library name" -> branch code overrides for names the dataset cannot match
+function loadBranchAliases() {
+  try {
+    return JSON.parse(fs.readFileSync(BRANCH_ALIASES_FILE, 'utf8')).aliases || {};
+  } catch (error) {
+    console.error('❌ Could not read branch aliases:', error.message);
+    return {};
+  }
+}
+
+function buildLocationsCache(records, packageInfo, source) {
+  const branches = records.map(record => locationProcessor.normalizeLocation(record));
+  const resolver = new BranchResolver({ branches, aliases: loadBranchAliases() });
+  const locator = new BranchLocator(branches.filter(branch => Number(branch.physicalBranch) !== 0)); // no bookmobiles
+  console.log(`🧭 Branch resolver built with ${resolver.size} aliases, ${locator.size} branches located`);
+  return {
+    records,
+    lookup: locationProcessor.createLocationLookup(records),
+    branches,
+    resolver,
+    locator,
+    packageInfo,
+    source,
+    timestamp: Date.now()
+  };
+}
+
+async function fetchAndCacheLocations(forceRefresh = false) {
+  const cacheIsFresh = !forceRefresh && locationsCache && (
+    Date.now() - locationsCache.timestamp < LOCATION_CACHE_TTL ||
+    (locationsCache.source !== 'upstream' && Date.now() < locationsCache.retryAfter)
+  );
+  if (cacheIsFresh) {
+    return locationsCache;
+  }
+
+  if (cachePromise && !forceRefresh) {
+    return cachePromise;
+  }
+
+  cachePromise = (async () => {
+    console.log('📍 Building location cache...');
+    const { locations, package: packageInfo } = await libraryAPI.getAllLibraryLocations();
+    locationsCache = buildLocationsCache(locations, packageInfo, 'upstream');
+    cachePromise = null;
+    console.log(`✅ Cached ${locations.length} locations at ${new Date(locationsCache.timestamp).toISOString()}`);
+    return locationsCache;
+  })().catch(error => {
+    cachePromise = null;
+    console.error('❌ Location refresh failed:', error.message);
+
+    // Prefer the last good upstream data, then the bundled snapshot
+    if (locationsCache && locationsCache.source !== 'snapshot') {
+      console.warn('⚠️  Serving stale location cache');
+      locationsCache = { ...locationsCache, source: 'stale', retryAfter: Date.now() + LOCATION_RETRY_MS };
+    } else {
+      const { records, packageInfo } = loadBranchSnapshot();
+      console.warn('⚠️  Serving bundled branch snapshot');
+      locationsCache = {
+        ...buildLocationsCache(records, packageInfo, 'snapshot'),
+        retryAfter: Date.now() + LOCATION_RETRY_MS
+      };
+    }
+    locationsCache.error = error.message;
+    return locationsCache;
+  });
+
+  return cachePromise;
+}
+
+// Resolver for event library names, built alongside the location cache
+async function getBranchResolver() {
+  try {
+    const cache = await fetchAndCacheLocations();
+    return cache.resolver;
+  } catch (error) {
+    console.warn('⚠️  Could not load locations, events left without branch codes:', error.message);
+    return null;
+  }
+}
+
+// Address, contact details and coordinates of one branch, null when the code is unknown
+async function findBranch(branchCode) {
+  const cache = await fetchAndCacheLocations();
+  const branch = cache.branches.find(item => item.branchCode === branchCode);
+  if (!branch) return null;
+  const { name, address, postalCode, phone, website, latitude, longitude } = branch;
+  return { branchCode, name, address, postalCode, phone, website, latitude, longitude };
+}
+
+// Branches within radiusKm of a point, nearest first: a $geoNear query on the 2dsphere index when
+// Mongo has located branches, otherwise the in-memory locator built with the location cache
+async function findBranchesNear(latitude, longitude, radiusKm) {
+  if (mongoose.connection.readyState === 1) {
+    try {
+      const branches = await Branch.aggregate([
+        {
+          $geoNear: {
+            near: { type: 'Point', coordinates: [longitude, latitude] },
+            distanceField: 'distanceMeters',
+            maxDistance: radiusKm * 1000,
+            query: { physicalBranch: { $ne: false } },
+            spherical: true
+          }
+        },
+        { $project: { _id: 0, branchCode: 1, name: 1, address: 1, latitude: 1, longitude: 1, distanceMeters: 1 } }
+      ]);
+      // No branches in range is a real answer, unless no branch has been synced with a location yet
+      if (branches.length > 0 || await Branch.exists({ 'location.coordinates': { $exists: true } })) {
+        return {
+          branches: branches.map(({ distanceMeters, ...branch }) => ({ ...branch, distanceKm: distanceMeters / 1000 })),
+          source: 'mongodb'
+        };
+      }
+    } catch (error) {
+      console.warn('⚠️  Geo query failed, using in-memory branch locator:', error.message);
+    }
+  }
+
+  const cache = await fetchAndCacheLocations();
+  const branches = cache.locator.near(latitude, longitude, radiusKm).map(branch => ({
+    branchCode: branch.branchCode,
+    name: branch.name,
+    address: branch.address,
+    latitude: branch.latitude,
+    longitude: branch.longitude,
+    distanceKm: branch.distanceKm
+  }));
+  return { branches, source: 'memory' };
+}
+
+module.exports = {
+  fetchAndCacheLocations,
+  getBranchResolver,
+  findBranch,
+  findBranchesNear,
+  loadBranchSnapshot,
+  BRANCH_SNAPSHOT_FILE,
+  BRANCH_ALIASES_FILE
+};
@@ -1,3 +1,6 @@
+const mongoose = require('mongoose');
+const Branch = require('../models/Branch');
+
 class LocationProcessor {
   
   // Convert raw Toronto location data to normalized format
@@ -18,6 +21,70 @@ class LocationProcessor {
     };
   }
 
+  // Shape a raw location into a Branch document
+  toBranch(rawLocation) {
+    const normalized = this.normalizeLocation(rawLocation);
+    return {
+      branchCode: normalized.branchCode,
+      name: normalized.name,
+      address: normalized.address,
+      postalCode: normalized.postalCode,
+      latitude: normalized.latitude,
+      longitude: normalized.longitude,
+      ...(typeof normalized.latitude === 'number' && typeof normalized.longitude === 'number' && {
+        location: { type: 'Point', coordinates: [normalized.longitude, normalized.latitude] }
+      }),
+      phone: normalized.phone,
+      website: normalized.website,
+      serviceTier: normalized.serviceTier,
+      physicalBranch: normalized.physicalBranch === 1 || normalized.physicalBranch === true || normalized.physicalBranch === '1',
+      lastUpdated: new Date(),
+      rawData: rawLocation
+    };
+  }
+
+  // Save branches to database - upserts by branchCode
+  async saveBranches(locations) {
+    console.log(`💾 Processing ${locations.length} library branches...`);
+
+    const branches = locations
+      .map(location => this.toBranch(location))
+      .filter(branch => branch.branchCode && branch.name);
+
+    const stats = {
+      total: locations.length,
+      saved: 0,
+      skipped: locations.length - branches.length, // No branch code or name
+      errors: 0
+    };
+
+    if (mongoose.connection.readyState !== 1) {
+      console.warn('⚠️  Database not connected, skipping branch save');
+      return { ...stats, note: 'Database not connected' };
+    }
+
+    if (branches.length === 0) return stats;
+
+    try {
+      await Branch.bulkWrite(branches.map(branch => ({
+        updateOne: {
+          filter: { branchCode: branch.branchCode },
+          update: { $set: branch },
+          upsert: true
+        }
+      })), { ordered: false });
+      stats.saved = branches.length;
+    } catch (error) {
+      const failed = (error.writeErrors || []).length || branches.length;
+      stats.errors = failed;
+      stats.saved = branches.length - failed;
+      console.error('❌ Branch save failed:', error.message);
+    }
+
+    console.log(`✅ Saved ${stats.saved} branches (${stats.skipped} skipped, ${stats.errors} errors)`);
+    return stats;
+  }
+
   // Clean text fields
   cleanText(text) {
     if (!text || typeof text !== 'string') return null;
@@ -77,51 +144,6 @@ class LocationProcessor {
     
     return lookup;
   }
-
-  // Enhanced fuzzy matching for library names
-  findLibraryCoordinates(libraryName, locationLookup) {
-    if (!libraryName || !locationLookup) return null;
-    
-    // Try exact match first
-    if (locationLookup[libraryName]) {
-      return locationLookup[libraryName];
-    }
-    
-    // Try case-insensitive match
-    const lowerName = libraryName.toLowerCase();
-    if (locationLookup[lowerName]) {
-      return locationLookup[lowerName];
-    }
-    
-    // Try fuzzy matching with various cleaned versions
-    const searchTerms = [
-      lowerName.replace(/library/i, '').trim(),
-      lowerName.replace(/branch/i, '').trim(),
-      lowerName.replace(/public/i, '').trim(),
-      lowerName.replace(/\s+library.*$/i, '').trim(),
-      lowerName.replace(/\b(library|branch|public|tpl)\b/gi, '').trim()
-    ];
-    
-    for (const term of searchTerms) {
-      if (term && locationLookup[term]) {
-        return locationLookup[term];
-      }
-      
-      // Partial matching - check if any location key contains or is contained by the search term
-      const matchingKey = Object.keys(locationLookup).find(key => {
-        const lowerKey = key.toLowerCase();
-        return (lowerKey.includes(term) || term.includes(lowerKey)) && 
-               Math.abs(lowerKey.length - term.length) <= 5; // Similar lengths
-      });
-      
-      if (matchingKey) {
-        console.log(`🔍 Fuzzy match: "${libraryName}" -> "${matchingKey}"`);
-        return locationLookup[matchingKey];
-      }
-    }
-    
-    return null;
-  }
 }
 
 module.exports = LocationProcessor;
\ No newline at end of file
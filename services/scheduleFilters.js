@@ -0,0 +1,180 @@
+// Date-range, day-of-week and time-of-day matching for normalized events (Toronto local time)
+const { addDays, daysBetween, weekdayOf, parseTimeOfDay } = require('./torontoTime');
+
+const WEEKDAY_CODES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Start-time bands in minutes after midnight, end exclusive
+const TIME_OF_DAY = {
+  morning: { after: 5 * 60, before: 12 * 60 },
+  afternoon: { after: 12 * 60, before: 17 * 60 },
+  evening: { after: 17 * 60, before: 24 * 60 }
+};
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+function isDateKey(value) {
+  return DATE_KEY.test(value) && !isNaN(Date.parse(`${value}T00:00:00Z`));
+}
+
+// First and last day of a calendar month (month is 1-12)
+function monthRange(year, month) {
+  return {
+    from: new Date(Date.UTC(year, month - 1, 1)).toISOString().split('T')[0],
+    to: new Date(Date.UTC(year, month, 0)).toISOString().split('T')[0]
+  };
+}
+
+// "sat,sun" or "weekend" -> [6, 0]; null when a code is not recognised
+function parseWeekdays(value) {
+  const codes = String(value).toLowerCase().split(',').map(code => code.trim()).filter(Boolean);
+  const weekdays = new Set();
+  for (const code of codes) {
+    if (code === 'weekend') {
+      weekdays.add(0).add(6);
+    } else if (code === 'weekday' || code === 'weekdays') {
+      [1, 2, 3, 4, 5].forEach(day => weekdays.add(day));
+    } else {
+      const index = WEEKDAY_CODES.indexOf(code.slice(0, 3));
+      if (index === -1) return null;
+      weekdays.add(index);
+    }
+  }
+  return [...weekdays];
+}
+
+// "15:30" or "3:30 PM" -> minutes after midnight, null if unreadable
+function parseClockTime(value) {
+  return parseTimeOfDay(String(value));
+}
+
+// Local wall-clock minutes from an ISO instant such as 2026-10-06T10:30:00-04:00
+function localMinutes(isoInstant) {
+  if (!isoInstant) return null;
+  const [hours, minutes] = isoInstant.slice(11, 16).split(':').map(Number);
+  return isNaN(hours) || isNaN(minutes) ? null : hours * 60 + minutes;
+}
+
+function lastDayOf(event) {
+  return event.endDate && event.endDate >= event.startDate ? event.endDate : event.startDate;
+}
+
+// Runs on at least one day between from and to (either bound optional); multi-day programs count if they overlap
+function occursInRange(event, from, to) {
+  if (!event.startDate) return false;
+  if (to && event.startDate > to) return false;
+  if (from && lastDayOf(event) < from) return false;
+  return true;
+}
+
+// Runs on one of the weekdays on a day that is also inside from/to
+function occursOnWeekdays(event, weekdays, from, to) {
+  if (!event.startDate) return false;
+  const first = from && from > event.startDate ? from : event.startDate;
+  const last = to && to < lastDayOf(event) ? to : lastDayOf(event);
+  // Any seven consecutive days cover the whole week
+  const span = Math.min(daysBetween(first, last), 6);
+  for (let offset = 0; offset <= span; offset++) {
+    if (weekdays.includes(weekdayOf(addDays(first, offset)))) return true;
+  }
+  return false;
+}
+
+// Starts at or after `after` and ends by `before` (minutes after midnight, either optional)
+// All-day programs are open the whole day so they always match; programs without a known time never do
+function matchesTimeWindow(event, { after = null, before = null }) {
+  if (after === null && before === null) return true;
+  if (event.allDay) return true;
+
+  const start = event.timeUnknown ? null : localMinutes(event.startsAt);
+  if (start === null) return false;
+  const end = localMinutes(event.endsAt);
+  const finish = end !== null && end > start ? end : start;
+
+  if (after !== null && start < after) return false;
+  if (before !== null && finish > before) return false;
+  return true;
+}
+
+// Starts within the named band ("after school" is afternoon)
+function matchesTimeOfDay(event, band) {
+  if (event.allDay) return true;
+  const start = event.timeUnknown ? null : localMinutes(event.startsAt);
+  return start !== null && start >= band.after && start < band.before;
+}
+
+// Schedule filters from the query string: from, to, month/year, days, timeOfDay, startAfter, endBefore
+// Returns { error } for anything unreadable so the route can answer 400
+function parseScheduleQuery(query, currentYear) {
+  const schedule = { from: null, to: null, weekdays: null, band: null, after: null, before: null };
+
+  if (query.month !== undefined) {
+    const month = parseInt(query.month, 10);
+    const year = query.year !== undefined ? parseInt(query.year, 10) : currentYear;
+    if (isNaN(month) || month < 1 || month > 12 || isNaN(year)) {
+      return { error: 'month must be 1-12 (with an optional four-digit year)' };
+    }
+    Object.assign(schedule, monthRange(year, month));
+  }
+
+  for (const bound of ['from', 'to']) {
+    if (query[bound] !== undefined) {
+      if (!isDateKey(query[bound])) {
+        return { error: `${bound} must be a date in YYYY-MM-DD format` };
+      }
+      // An explicit bound narrows a month window rather than replacing it
+      schedule[bound] = bound === 'from'
+        ? (schedule.from && schedule.from > query.from ? schedule.from : query.from)
+        : (schedule.to && schedule.to < query.to ? schedule.to : query.to);
+    }
+  }
+
+  if (schedule.from && schedule.to && schedule.from > schedule.to) {
+    return { error: 'from must not be later than to' };
+  }
+
+  if (query.days !== undefined) {
+    schedule.weekdays = parseWeekdays(query.days);
+    if (!schedule.weekdays || schedule.weekdays.length === 0) {
+      return { error: 'days must be a list like sat,sun (or weekend, weekdays)' };
+    }
+  }
+
+  if (query.timeOfDay !== undefined) {
+    schedule.band = TIME_OF_DAY[String(query.timeOfDay).toLowerCase()];
+    if (!schedule.band) {
+      return { error: `timeOfDay must be one of ${Object.keys(TIME_OF_DAY).join(', ')}` };
+    }
+  }
+
+  for (const [param, key] of [['startAfter', 'after'], ['endBefore', 'before']]) {
+    if (query[param] !== undefined) {
+      schedule[key] = parseClockTime(query[param]);
+      if (schedule[key] === null) {
+        return { error: `${param} must be a time such as 15:30 or 3:30 PM` };
+      }
+    }
+  }
+
+  return schedule;
+}
+
+function matchesSchedule(event, schedule) {
+  if ((schedule.from || schedule.to) && !occursInRange(event, schedule.from, schedule.to)) return false;
+  if (schedule.weekdays && !occursOnWeekdays(event, schedule.weekdays, schedule.from, schedule.to)) return false;
+  if (schedule.band && !matchesTimeOfDay(event, schedule.band)) return false;
+  return matchesTimeWindow(event, schedule);
+}
+
+module.exports = {
+  TIME_OF_DAY,
+  isDateKey,
+  monthRange,
+  parseWeekdays,
+  parseClockTime,
+  occursInRange,
+  occursOnWeekdays,
+  matchesTimeWindow,
+  matchesTimeOfDay,
+  parseScheduleQuery,
+  matchesSchedule
+};
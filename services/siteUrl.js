@@ -0,0 +1,4 @@
+// Public address of the site, for absolute links in the sitemap and program pages
+const SITE_URL = (process.env.SITE_URL || 'https://tplevents.ca').replace(/\/+$/, '');
+
+module.exports = { SITE_URL };
@@ -0,0 +1,306 @@
+const http = require('http');
+const https = require('https');
+const CkanFixtureStore = require('./ckanFixtureStore');
+
+const MODES = ['live', 'record', 'replay'];
+
+// Errors raised by CkanClient - `retryable` marks the ones worth another attempt
+class CkanError extends Error {
+  constructor(message, { code, retryable = false, url, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.retryable = retryable;
+    this.url = url;
+    if (cause) this.cause = cause;
+  }
+}
+
+class CkanTimeoutError extends CkanError {
+  constructor(phase, timeoutMs, url) {
+    super(`CKAN ${phase} timed out after ${timeoutMs}ms`, { code: 'CKAN_TIMEOUT', retryable: true, url });
+    this.phase = phase;
+  }
+}
+
+class CkanNetworkError extends CkanError {
+  constructor(cause, url) {
+    super(`CKAN request failed: ${cause.message}`, { code: 'CKAN_NETWORK', retryable: true, url, cause });
+  }
+}
+
+class CkanHttpError extends CkanError {
+  constructor(statusCode, url, body) {
+    super(`CKAN responded with HTTP ${statusCode}`, {
+      code: 'CKAN_HTTP',
+      retryable: statusCode >= 500 || statusCode === 429,
+      url
+    });
+    this.statusCode = statusCode;
+    this.body = body ? body.slice(0, 500) : undefined;
+  }
+}
+
+class CkanInvalidJsonError extends CkanError {
+  constructor(cause, url, body) {
+    // Usually an HTML error page from a proxy in front of the portal, so worth retrying
+    super(`CKAN returned invalid JSON: ${cause.message}`, { code: 'CKAN_INVALID_JSON', retryable: true, url, cause });
+    this.body = body ? body.slice(0, 500) : undefined;
+  }
+}
+
+class CkanApiError extends CkanError {
+  constructor(ckanError, url) {
+    const detail = ckanError?.message || ckanError?.__type || 'unknown error';
+    super(`CKAN action failed: ${detail}`, { code: 'CKAN_API', retryable: false, url });
+    this.ckanError = ckanError;
+  }
+}
+
+class CkanFixtureMissingError extends CkanError {
+  constructor(filePath, url) {
+    super(`No recorded CKAN response at ${filePath} (run once with CKAN_MODE=record)`, { code: 'CKAN_FIXTURE_MISSING', url });
+    this.filePath = filePath;
+  }
+}
+
+class CkanCircuitOpenError extends CkanError {
+  constructor(retryAt) {
+    super(`CKAN circuit breaker is open until ${new Date(retryAt).toISOString()}`, { code: 'CKAN_CIRCUIT_OPEN' });
+    this.retryAt = retryAt;
+  }
+}
+
+// Stops calling a failing portal for a while instead of letting every request wait on timeouts
+class CircuitBreaker {
+  constructor({ failureThreshold = 5, resetTimeoutMs = 60000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  // Throws while open; after resetTimeoutMs a single trial call is let through (half-open)
+  beforeRequest() {
+    if (this.state === 'open') {
+      if (Date.now() - this.openedAt < this.resetTimeoutMs) {
+        throw new CkanCircuitOpenError(this.openedAt + this.resetTimeoutMs);
+      }
+      this.state = 'half-open';
+      console.log('🔌 CKAN circuit half-open, trying one request...');
+    } else if (this.state === 'half-open') {
+      throw new CkanCircuitOpenError(Date.now() + 1000);
+    }
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      console.log('✅ CKAN circuit closed again');
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  recordFailure() {
+    this.failures++;
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      console.warn(`🚨 CKAN circuit opened after ${this.failures} failures, pausing requests for ${this.resetTimeoutMs}ms`);
+    }
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null
+    };
+  }
+}
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) ? fallback : value;
+}
+
+// Shared HTTP client for CKAN action API calls
+// CKAN_MODE=record saves every response to disk, CKAN_MODE=replay serves them back without any network
+class CkanClient {
+  constructor(options = {}) {
+    this.baseURL = options.baseURL;
+    this.mode = options.mode || process.env.CKAN_MODE || 'live';
+    if (!MODES.includes(this.mode)) {
+      throw new Error(`Invalid CKAN_MODE "${this.mode}". Must be one of: ${MODES.join(', ')}`);
+    }
+    this.fixtures = options.fixtureStore || (this.mode !== 'live' ? new CkanFixtureStore() : null);
+    if (this.fixtures) {
+      console.log(`📼 CKAN ${this.mode} mode using fixtures in ${this.fixtures.dir}`);
+    }
+    this.connectTimeoutMs = options.connectTimeoutMs || envInt('CKAN_CONNECT_TIMEOUT_MS', 5000);
+    this.readTimeoutMs = options.readTimeoutMs || envInt('CKAN_READ_TIMEOUT_MS', 30000);
+    this.retries = options.retries !== undefined ? options.retries : envInt('CKAN_RETRIES', 3);
+    this.retryBaseDelayMs = options.retryBaseDelayMs || envInt('CKAN_RETRY_BASE_MS', 500);
+    this.breaker = options.breaker || new CircuitBreaker({
+      failureThreshold: envInt('CKAN_BREAKER_THRESHOLD', 5),
+      resetTimeoutMs: envInt('CKAN_BREAKER_RESET_MS', 60000)
+    });
+    const transport = this.baseURL && this.baseURL.startsWith('http:') ? http : https;
+    this.transport = transport;
+    this.agent = new transport.Agent({ keepAlive: true, maxSockets: 4 });
+  }
+
+  // Call a CKAN action (package_show, datastore_search, ...) and return its `result`
+  async action(actionName, params = {}) {
+    const query = new URLSearchParams(params).toString();
+    const url = `${this.baseURL}/${actionName}${query ? `?${query}` : ''}`;
+
+    if (this.mode === 'replay') {
+      return this.replay(actionName, params, url);
+    }
+
+    const body = await this.requestWithRetries(actionName, url);
+
+    if (this.mode === 'record') {
+      try {
+        const filePath = await this.fixtures.write(actionName, params, body);
+        console.log(`📼 Recorded ${actionName} to ${filePath}`);
+      } catch (error) {
+        console.error(`❌ Could not record ${actionName}:`, error.message);
+      }
+    }
+
+    return body.result;
+  }
+
+  async replay(actionName, params, url) {
+    const body = await this.fixtures.read(actionName, params);
+    if (!body) {
+      throw new CkanFixtureMissingError(this.fixtures.fileFor(actionName, params), url);
+    }
+    if (body.success !== true) {
+      throw new CkanApiError(body.error, url);
+    }
+    return body.result;
+  }
+
+  // Every action we use is a read, so all of them are safe to retry
+  async requestWithRetries(actionName, url) {
+    this.breaker.beforeRequest();
+
+    let lastError;
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      if (attempt > 0) {
+        const delay = this.retryBaseDelayMs * 2 ** (attempt - 1) * (0.75 + Math.random() * 0.5);
+        console.warn(`🔁 Retrying ${actionName} (attempt ${attempt + 1}/${this.retries + 1}) in ${Math.round(delay)}ms: ${lastError.message}`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+
+      try {
+        const body = await this.requestJson(url);
+        if (!body || body.success !== true) {
+          throw new CkanApiError(body?.error, url);
+        }
+        this.breaker.recordSuccess();
+        return body;
+      } catch (error) {
+        lastError = error;
+        if (!error.retryable) break;
+      }
+    }
+
+    // Only upstream trouble counts towards opening the circuit, not bad requests
+    if (lastError.retryable) {
+      this.breaker.recordFailure();
+    } else {
+      this.breaker.recordSuccess();
+    }
+    throw lastError;
+  }
+
+  // Single GET with connect and read timeouts, parsed as JSON
+  requestJson(url) {
+    return new Promise((resolve, reject) => {
+      let connectTimer = null;
+      let settled = false;
+
+      const fail = (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(connectTimer);
+        request.destroy();
+        reject(error);
+      };
+
+      const request = this.transport.get(url, {
+        agent: this.agent,
+        headers: { Accept: 'application/json' }
+      }, (response) => {
+        const dataChunks = [];
+
+        response
+          .on('data', (chunk) => {
+            dataChunks.push(chunk);
+          })
+          .on('end', () => {
+            if (settled) return;
+            const body = Buffer.concat(dataChunks).toString();
+
+            // CKAN reports action errors (404 not found, 409 validation) as JSON bodies
+            let parsed;
+            try {
+              parsed = JSON.parse(body);
+            } catch (error) {
+              if (response.statusCode >= 400) {
+                return fail(new CkanHttpError(response.statusCode, url, body));
+              }
+              return fail(new CkanInvalidJsonError(error, url, body));
+            }
+
+            if (response.statusCode >= 500 || response.statusCode === 429) {
+              return fail(new CkanHttpError(response.statusCode, url, body));
+            }
+
+            settled = true;
+            resolve(parsed);
+          })
+          .on('error', (error) => fail(new CkanNetworkError(error, url)));
+      });
+
+      // Connect timeout only applies to fresh sockets; reused keep-alive sockets are already connected
+      request.on('socket', (socket) => {
+        if (socket.connecting) {
+          connectTimer = setTimeout(() => fail(new CkanTimeoutError('connect', this.connectTimeoutMs, url)), this.connectTimeoutMs);
+          socket.once(url.startsWith('https:') ? 'secureConnect' : 'connect', () => clearTimeout(connectTimer));
+        }
+      });
+
+      // Read timeout fires when the socket sits idle that long
+      request.setTimeout(this.readTimeoutMs, () => fail(new CkanTimeoutError('read', this.readTimeoutMs, url)));
+
+      request.on('error', (error) => fail(new CkanNetworkError(error, url)));
+    });
+  }
+
+  getStatus() {
+    return {
+      mode: this.mode,
+      ...this.breaker.getStatus()
+    };
+  }
+}
+
+module.exports = {
+  CkanClient,
+  CircuitBreaker,
+  CkanError,
+  CkanTimeoutError,
+  CkanNetworkError,
+  CkanHttpError,
+  CkanInvalidJsonError,
+  CkanApiError,
+  CkanFixtureMissingError,
+  CkanCircuitOpenError
+};
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures', 'ckan');
+
+// Stores raw CKAN action responses on disk, one file per action + parameters
+// e.g. fixtures/ckan/datastore_search/limit=1000&offset=0&resource_id=abc.json
+class CkanFixtureStore {
+  constructor(options = {}) {
+    this.dir = path.resolve(options.dir || process.env.CKAN_FIXTURES_DIR || DEFAULT_FIXTURES_DIR);
+  }
+
+  // Parameters are sorted so the same request always maps to the same file
+  fileFor(actionName, params = {}) {
+    const key = Object.keys(params)
+      .sort()
+      .map(name => `${name}=${params[name]}`)
+      .join('&')
+      .replace(/[^\w.=&-]/g, '_');
+    return path.join(this.dir, actionName, `${key || 'default'}.json`);
+  }
+
+  async read(actionName, params) {
+    const filePath = this.fileFor(actionName, params);
+    let contents;
+    try {
+      contents = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    return JSON.parse(contents).response;
+  }
+
+  async write(actionName, params, response) {
+    const filePath = this.fileFor(actionName, params);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, JSON.stringify({
+      action: actionName,
+      params,
+      recordedAt: new Date().toISOString(),
+      response
+    }, null, 2));
+    return filePath;
+  }
+}
+
+module.exports = CkanFixtureStore;
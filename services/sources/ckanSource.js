@@ -0,0 +1,143 @@
+const DataSource = require('./dataSource');
+const { CkanClient } = require('./ckanClient');
+
+const DEFAULT_BASE_URL = "https://ckan0.cf.opendata.inter.prod-toronto.ca/api/3/action";
+const DEFAULT_EVENTS_PACKAGE_ID = "fb343332-03cd-40b9-a1c8-c03a4a85ca1e";
+const DEFAULT_LOCATIONS_PACKAGE_ID = "f5aa9b07-da35-45e6-b31f-d6790eb9bd9b";
+
+// Toronto Open Data (CKAN) adapter
+class CkanSource extends DataSource {
+  constructor(options = {}) {
+    super('ckan');
+    this.baseURL = options.baseURL || process.env.CKAN_BASE_URL || DEFAULT_BASE_URL;
+    this.eventsPackageId = options.eventsPackageId || process.env.CKAN_EVENTS_PACKAGE_ID || DEFAULT_EVENTS_PACKAGE_ID;
+    this.locationsPackageId = options.locationsPackageId || process.env.CKAN_LOCATIONS_PACKAGE_ID || DEFAULT_LOCATIONS_PACKAGE_ID;
+    // Optional resource names, otherwise the first datastore resource of the package is used
+    this.eventsResourceName = options.eventsResourceName || process.env.CKAN_EVENTS_RESOURCE || null;
+    this.locationsResourceName = options.locationsResourceName || process.env.CKAN_LOCATIONS_RESOURCE || null;
+    this.batchSize = options.batchSize || 1000;
+    this.client = options.client || new CkanClient({ baseURL: this.baseURL });
+  }
+
+  // Generic method to get any package
+  async getPackage(packageId) {
+    const result = await this.client.action('package_show', { id: packageId });
+    console.log(`✅ Package fetched: ${result.title}`);
+    return result;
+  }
+
+  // Batch method for datastore records
+  async getDatastoreResourceBatch(resource, offset = 0, limit = 1000) {
+    const result = await this.client.action('datastore_search', {
+      resource_id: resource["id"],
+      limit,
+      offset
+    });
+    return {
+      records: result.records || [],
+      fields: result.fields || [],
+      total: result.total || 0
+    };
+  }
+
+  getStatus() {
+    return { circuit: this.client.getStatus() };
+  }
+
+  // Pick the datastore resource to read from a package
+  selectResource(packageInfo, resourceName) {
+    const datastoreResources = packageInfo["resources"].filter(r => r.datastore_active);
+
+    if (datastoreResources.length === 0) {
+      throw new Error(`No datastore resources found for package ${packageInfo.name || packageInfo.id}`);
+    }
+
+    if (resourceName) {
+      const named = datastoreResources.find(r => r.name === resourceName);
+      if (!named) {
+        throw new Error(`Datastore resource "${resourceName}" not found in package ${packageInfo.name || packageInfo.id}`);
+      }
+      return named;
+    }
+
+    return datastoreResources[0];
+  }
+
+  // Page through every record of a datastore resource
+  async getAllRecords(resource, maxRecords) {
+    let allRecords = [];
+    let offset = 0;
+    let hasMore = true;
+
+    while (hasMore) {
+      const batchResult = await this.getDatastoreResourceBatch(resource, offset, this.batchSize);
+      allRecords = allRecords.concat(batchResult.records);
+      hasMore = batchResult.records.length === this.batchSize;
+      offset += this.batchSize;
+
+      // Safety check
+      if (offset > maxRecords) {
+        console.log(`⚠️ Reached safety limit of ${maxRecords} records for resource ${resource.id}`);
+        break;
+      }
+    }
+
+    return allRecords;
+  }
+
+  async fetchEvents() {
+    const packageInfo = await this.getPackage(this.eventsPackageId);
+    const resource = this.selectResource(packageInfo, this.eventsResourceName);
+    const events = await this.getAllRecords(resource, 10000);
+
+    return {
+      package: packageInfo,
+      events,
+      total: events.length
+    };
+  }
+
+  async fetchLocations() {
+    console.log('🏛️ Starting library locations fetch...');
+
+    const packageInfo = await this.getPackage(this.locationsPackageId);
+    const resource = this.selectResource(packageInfo, this.locationsResourceName);
+    const locations = await this.getAllRecords(resource, 5000);
+
+    console.log(`🎉 Complete! Fetched ${locations.length} total library locations`);
+
+    return {
+      package: packageInfo,
+      locations,
+      resourceInfo: resource,
+      total: locations.length
+    };
+  }
+
+  // Field definitions as reported by the datastore
+  async describeSchema() {
+    const describe = async (packageId, resourceName) => {
+      const packageInfo = await this.getPackage(packageId);
+      const resource = this.selectResource(packageInfo, resourceName);
+      const { fields, total } = await this.getDatastoreResourceBatch(resource, 0, 0);
+      return {
+        packageId,
+        resourceId: resource.id,
+        resourceName: resource.name,
+        total,
+        fields: fields
+          .filter(field => field.id !== '_id')
+          .map(field => ({ name: field.id, type: field.type }))
+      };
+    };
+
+    const [events, locations] = await Promise.all([
+      describe(this.eventsPackageId, this.eventsResourceName),
+      describe(this.locationsPackageId, this.locationsResourceName)
+    ]);
+
+    return { source: this.name, baseURL: this.baseURL, events, locations };
+  }
+}
+
+module.exports = CkanSource;
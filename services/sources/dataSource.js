@@ -0,0 +1,24 @@
+// Base class for event/location data sources
+// Every adapter returns the raw upstream records; normalizing is left to EventProcessor and LocationProcessor
+class DataSource {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Resolve to { package, events, total }
+  async fetchEvents() {
+    throw new Error(`${this.name} data source does not implement fetchEvents()`);
+  }
+
+  // Resolve to { package, locations, resourceInfo, total }
+  async fetchLocations() {
+    throw new Error(`${this.name} data source does not implement fetchLocations()`);
+  }
+
+  // Resolve to { source, events: { fields }, locations: { fields } }
+  async describeSchema() {
+    throw new Error(`${this.name} data source does not implement describeSchema()`);
+  }
+}
+
+module.exports = DataSource;
@@ -0,0 +1,22 @@
+const CkanSource = require('./ckanSource');
+const LocalFileSource = require('./localFileSource');
+
+const SOURCES = {
+  ckan: CkanSource,
+  local: LocalFileSource
+};
+
+// Build the data source named by DATA_SOURCE (defaults to the Toronto CKAN portal)
+function createDataSource(name = process.env.DATA_SOURCE || 'ckan', options = {}) {
+  const Source = SOURCES[name];
+  if (!Source) {
+    throw new Error(`Unknown data source "${name}". Must be one of: ${Object.keys(SOURCES).join(', ')}`);
+  }
+  return new Source(options);
+}
+
+module.exports = {
+  createDataSource,
+  CkanSource,
+  LocalFileSource
+};
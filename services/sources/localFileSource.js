@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const DataSource = require('./dataSource');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '..', 'data', 'sample');
+
+// Reads events.json and locations.json from a directory - used for staging and offline development
+// Each file is either an array of raw records or { package, records }
+class LocalFileSource extends DataSource {
+  constructor(options = {}) {
+    super('local');
+    this.dataDir = path.resolve(options.dataDir || process.env.LOCAL_DATA_DIR || DEFAULT_DATA_DIR);
+    this.eventsFile = options.eventsFile || 'events.json';
+    this.locationsFile = options.locationsFile || 'locations.json';
+  }
+
+  async readDataFile(fileName) {
+    const filePath = path.join(this.dataDir, fileName);
+    let contents;
+
+    try {
+      contents = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      throw new Error(`Could not read ${filePath}: ${error.message}`);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(contents);
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+    }
+
+    const records = Array.isArray(data) ? data : data.records;
+    if (!Array.isArray(records)) {
+      throw new Error(`${filePath} must contain an array of records or { "records": [...] }`);
+    }
+
+    const stats = await fs.promises.stat(filePath);
+    const packageInfo = {
+      title: `Local file ${fileName}`,
+      name: fileName,
+      metadata_modified: stats.mtime.toISOString(),
+      ...(Array.isArray(data) ? {} : data.package)
+    };
+
+    return { records, packageInfo, filePath };
+  }
+
+  async fetchEvents() {
+    const { records, packageInfo } = await this.readDataFile(this.eventsFile);
+    console.log(`📂 Loaded ${records.length} events from ${this.dataDir}`);
+
+    return {
+      package: packageInfo,
+      events: records,
+      total: records.length
+    };
+  }
+
+  async fetchLocations() {
+    const { records, packageInfo, filePath } = await this.readDataFile(this.locationsFile);
+    console.log(`📂 Loaded ${records.length} locations from ${this.dataDir}`);
+
+    return {
+      package: packageInfo,
+      locations: records,
+      resourceInfo: { id: filePath, name: this.locationsFile },
+      total: records.length
+    };
+  }
+
+  // Field names and JS types collected from the records themselves
+  async describeSchema() {
+    const describe = async (fileName) => {
+      const { records, filePath } = await this.readDataFile(fileName);
+      const fields = new Map();
+      records.forEach(record => {
+        Object.entries(record).forEach(([name, value]) => {
+          if (!fields.has(name) && value !== null && value !== undefined) {
+            fields.set(name, typeof value);
+          }
+        });
+      });
+      return {
+        file: filePath,
+        total: records.length,
+        fields: [...fields].map(([name, type]) => ({ name, type }))
+      };
+    };
+
+    const [events, locations] = await Promise.all([
+      describe(this.eventsFile),
+      describe(this.locationsFile)
+    ]);
+
+    return { source: this.name, dataDir: this.dataDir, events, locations };
+  }
+}
+
+module.exports = LocalFileSource;
@@ -0,0 +1,123 @@
+const { todayKey } = require('./torontoTime');
+
+const MAX_PREFIX_LENGTH = 12;
+const TYPES = ['titles', 'branches', 'categories', 'series'];
+
+// Prefix index over program titles, branch names, categories and series for search-as-you-type
+// Built once per event cache refresh; every word of an entry is indexed by its leading letters
+class SuggestIndex {
+  constructor(events = []) {
+    this.entries = [];
+    this.prefixes = new Map();
+    this.build(events);
+  }
+
+  static words(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean);
+  }
+
+  build(events) {
+    const today = todayKey();
+    const byKey = new Map();
+
+    // One entry per distinct value (or per key, for series), counting the programs behind it
+    const add = (type, label, extra = {}, key = `${type}:${String(label).toLowerCase()}`) => {
+      if (!label) return null;
+      let entry = byKey.get(key);
+      if (!entry) {
+        entry = { type, label, count: 0, ...extra };
+        byKey.set(key, entry);
+      }
+      entry.count++;
+      return entry;
+    };
+
+    events.forEach(event => {
+      add('titles', event.title);
+      add('branches', event.library, { branchCode: event.branchCode || null });
+      (event.categories || [event.category]).forEach((label, index) => {
+        add('categories', label, { group: (event.categoryGroups || [event.categoryGroup])[index] || null });
+      });
+
+      // The same program title can run as separate series at several branches
+      if (event.seriesId) {
+        const series = add('series', event.title, {
+          seriesId: event.seriesId,
+          library: event.library,
+          recurrence: event.recurrence ? event.recurrence.description : null,
+          nextEventId: null,
+          nextDate: null
+        }, `series:${event.seriesId}`);
+        this.trackNextSession(series, event, today);
+      }
+    });
+
+    this.entries = [...byKey.values()];
+    this.prefixes = new Map();
+    this.entries.forEach((entry, index) => {
+      SuggestIndex.words(entry.label).forEach(word => {
+        for (let length = 1; length <= Math.min(word.length, MAX_PREFIX_LENGTH); length++) {
+          const prefix = word.slice(0, length);
+          if (!this.prefixes.has(prefix)) {
+            this.prefixes.set(prefix, new Set());
+          }
+          this.prefixes.get(prefix).add(index);
+        }
+      });
+    });
+  }
+
+  // Series suggestions open the next upcoming session
+  trackNextSession(series, event, today) {
+    if (!event.startDate || event.startDate < today) return;
+    if (!series.nextDate || event.startDate < series.nextDate) {
+      series.nextDate = event.startDate;
+      series.nextEventId = event.eventId;
+    }
+  }
+
+  // Entries where every query word starts one of the entry's words, grouped by type
+  // Labels starting with the whole query rank first, then the most common ones
+  suggest(query, limitPerType = 5) {
+    const queryWords = SuggestIndex.words(query);
+    const grouped = Object.fromEntries(TYPES.map(type => [type, []]));
+    if (queryWords.length === 0) return grouped;
+
+    let candidates = null;
+    for (const word of queryWords) {
+      const matches = this.prefixes.get(word.slice(0, MAX_PREFIX_LENGTH)) || new Set();
+      candidates = candidates ? new Set([...candidates].filter(index => matches.has(index))) : matches;
+      if (candidates.size === 0) return grouped;
+    }
+
+    const normalizedQuery = queryWords.join(' ');
+    [...candidates]
+      .map(index => this.entries[index])
+      // Prefixes are capped, so long query words still need checking against the full words
+      .filter(entry => {
+        const entryWords = SuggestIndex.words(entry.label);
+        return queryWords.every(word => entryWords.some(entryWord => entryWord.startsWith(word)));
+      })
+      .sort((a, b) =>
+        Number(SuggestIndex.words(b.label).join(' ').startsWith(normalizedQuery)) -
+          Number(SuggestIndex.words(a.label).join(' ').startsWith(normalizedQuery)) ||
+        b.count - a.count ||
+        a.label.localeCompare(b.label)
+      )
+      .forEach(entry => {
+        if (grouped[entry.type].length < limitPerType) {
+          const { type, ...suggestion } = entry;
+          grouped[type].push(suggestion);
+        }
+      });
+
+    return grouped;
+  }
+}
+
+module.exports = SuggestIndex;
@@ -0,0 +1,140 @@
+// Date helpers for the library's local calendar (America/Toronto)
+const TIME_ZONE = 'America/Toronto';
+
+const todayFormatter = new Intl.DateTimeFormat('en-CA', { timeZone: TIME_ZONE });
+const partsFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIME_ZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+});
+
+// Today's date in Toronto as YYYY-MM-DD
+function todayKey() {
+  return todayFormatter.format(new Date());
+}
+
+// Event date as YYYY-MM-DD
+// Normalized events carry strings already; Dates come back from Mongo as UTC midnight of that day
+function dateKey(value) {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return value.toISOString().split('T')[0];
+  }
+  return String(value).split('T')[0];
+}
+
+// Whole days between two YYYY-MM-DD keys
+function daysBetween(fromKey, toKey) {
+  return Math.round((Date.parse(`${toKey}T00:00:00Z`) - Date.parse(`${fromKey}T00:00:00Z`)) / 86400000);
+}
+
+function addDays(key, days) {
+  return new Date(Date.parse(`${key}T00:00:00Z`) + days * 86400000).toISOString().split('T')[0];
+}
+
+// Whether an event's last day (endDate, or startDate without one) is today or later
+// Undated events count as current, nothing says they are over
+function hasNotEnded(event, today = todayKey()) {
+  const startDate = dateKey(event.startDate);
+  const endDate = dateKey(event.endDate);
+  const lastDay = endDate && (!startDate || endDate >= startDate) ? endDate : startDate;
+  return !lastDay || lastDay >= today;
+}
+
+// Day of the week (0 = Sunday) for a YYYY-MM-DD key
+function weekdayOf(key) {
+  return new Date(`${key}T00:00:00Z`).getUTCDay();
+}
+
+// Minutes after midnight for free-text times like "10:30 AM", "2 p.m.", "14:00" or "Noon"
+function parseTimeOfDay(text) {
+  if (!text || typeof text !== 'string') return null;
+  const value = text.trim().toLowerCase().replace(/\./g, '');
+
+  if (value === 'noon') return 12 * 60;
+  if (value === 'midnight') return 0;
+
+  const match = value.match(/^(\d{1,2})(?::(\d{2}))?(?::\d{2})?\s*(am|pm)?$/);
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3];
+  if (minutes > 59) return null;
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (hours === 12) hours = 0;
+    if (meridiem === 'pm') hours += 12;
+  } else if (hours > 23 || !match[2]) {
+    // A bare "7" is too ambiguous to place on the calendar
+    return null;
+  }
+
+  return hours * 60 + minutes;
+}
+
+function getZonedParts(date) {
+  const parts = {};
+  partsFormatter.formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return parts;
+}
+
+// Toronto's UTC offset in minutes at an instant (-300 for EST, -240 for EDT)
+function offsetAt(date) {
+  const parts = getZonedParts(date);
+  const asUTC = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return Math.round((asUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+// Instant for a Toronto wall-clock time on a YYYY-MM-DD date
+// Times skipped by the spring-forward jump land an hour later; repeated fall-back times use the first occurrence
+function zonedInstant(key, minutesOfDay = 0) {
+  const [year, month, day] = key.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutesOfDay);
+
+  const guessOffset = offsetAt(new Date(wallClock));
+  let instant = wallClock - guessOffset * 60000;
+  const actualOffset = offsetAt(new Date(instant));
+  if (actualOffset !== guessOffset) {
+    const retry = wallClock - actualOffset * 60000;
+    if (offsetAt(new Date(retry)) === actualOffset) {
+      instant = retry;
+    }
+  }
+  return new Date(instant);
+}
+
+// ISO-8601 with Toronto's offset, e.g. 2026-10-06T10:30:00-04:00
+function toTorontoISO(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return null;
+
+  const parts = getZonedParts(date);
+  const offset = offsetAt(date);
+  const sign = offset <= 0 ? '-' : '+';
+  const offsetHours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+  const offsetMinutes = String(Math.abs(offset) % 60).padStart(2, '0');
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}${sign}${offsetHours}:${offsetMinutes}`;
+}
+
+module.exports = {
+  TIME_ZONE,
+  todayKey,
+  dateKey,
+  daysBetween,
+  addDays,
+  hasNotEnded,
+  weekdayOf,
+  parseTimeOfDay,
+  zonedInstant,
+  toTorontoISO
+};
@@ -0,0 +1,17 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseAgeGroup, isSuitableForAge } = require('../services/ageRanges');
+
+test('generic Kids programs include preschoolers', () => {
+  const kids = [parseAgeGroup('Kids')];
+  assert.equal(isSuitableForAge(kids, 4), true);
+  assert.equal(isSuitableForAge(kids, 12), true);
+  assert.equal(isSuitableForAge(kids, 13), false);
+});
+
+test('school age programs stay 6-12', () => {
+  const schoolAge = [parseAgeGroup('School Age')];
+  assert.equal(isSuitableForAge(schoolAge, 4), false);
+  assert.equal(isSuitableForAge(schoolAge, 6), true);
+});
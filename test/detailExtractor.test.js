@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DetailExtractor = require('../services/detailExtractor');
+
+const extractor = new DetailExtractor();
+
+test('negative "need to register" wording is drop-in', () => {
+  [
+    'No need to register.',
+    "You don't need to register, everyone welcome.",
+    'You don’t need to register.',
+    'You do not need to register for this program.',
+    'No need to register, just drop in!',
+    'It is not necessary to register.'
+  ].forEach(text => assert.equal(extractor.extractRegistration(text), 'Drop-in', text));
+});
+
+test('positive registration wording is still required', () => {
+  [
+    'To register, call 416-393-7131.',
+    'Registration is required.',
+    'Please register online.',
+    'You must register in advance.'
+  ].forEach(text => assert.equal(extractor.extractRegistration(text), 'Required', text));
+});
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const eventCache = require('../services/eventCache');
+const locationCache = require('../services/locationCache');
+const { todayKey, addDays } = require('../services/torontoTime');
+
+// Feed records in the dataset's shape, one day long
+function record(id, startdate) {
+  return {
+    _id: id,
+    title: `Program ${id}`,
+    startdate,
+    enddate: startdate,
+    starttime: '10:00 AM',
+    endtime: '11:00 AM',
+    library: 'High Park',
+    lastupdated: '2026-10-01T09:00:00'
+  };
+}
+
+function serveFeed(records) {
+  eventCache.libraryAPI.getAllLibraryEvents = async () => ({ events: records, package: {} });
+}
+
+test('only upcoming programs that leave the feed become cancelled tombstones', async () => {
+  const today = todayKey();
+  locationCache.getBranchResolver = async () => null;
+
+  serveFeed([record(1, addDays(today, -1)), record(2, today), record(3, addDays(today, 7)), record(4, today)]);
+  await eventCache.fetchAndCacheEvents(true);
+
+  serveFeed([record(4, today)]);
+  const cache = await eventCache.fetchAndCacheEvents(true);
+
+  const cancelled = cache.cancelled.map(event => String(event.eventId)).sort();
+  assert.deepEqual(cancelled, ['2', '3']); // Program 1 ended yesterday
+  cache.cancelled.forEach(event => assert.equal(event.status, 'cancelled'));
+});